@@ -2,6 +2,9 @@ import { EventEmitter } from 'events';
 import WebSocket from 'ws';
 import { 
   ClientOptions, 
+  ReconnectOptions,
+  ShardDisconnectEvent,
+  PresenceData,
   GatewayPayload, 
   ReadyEventData,
   APIGuild,
@@ -9,17 +12,41 @@ import {
   APIMessage,
   APIVoiceServerUpdate,
   APIChannel,
-  APIUser
+  APIUser,
+  APIGuildMember,
+  APIEmoji,
+  APIRole,
+  APIReactionEvent,
+  ClientEvents,
+  ClientMiddleware
 } from './types';
-import { GatewayOpcodes, GatewayIntentBits } from './enums';
+import { GatewayOpcodes, GatewayIntentBits, ActivityType, PresenceStatus } from './enums';
 import { Collection } from './structures/Collection';
 import { User } from './structures/User';
+import { ClientUser } from './structures/ClientUser';
 import { Guild } from './structures/Guild';
-import { Message } from './structures/Message';
+import { GuildMember } from './structures/GuildMember';
+import { Message, PartialMessage } from './structures/Message';
+import { Role } from './structures/Role';
+import { GuildBan } from './structures/GuildBan';
+import { Invite } from './structures/Invite';
+import { Typing } from './structures/Typing';
+import { Presence } from './structures/Presence';
+import { VoiceState } from './structures/VoiceState';
+import { MessageReaction } from './structures/MessageReaction';
 import { createInteraction, Interaction } from './structures/Interaction';
 import { BaseChannel, createChannel } from './structures/Channel';
 import { REST } from './rest/REST';
 import { ApplicationCommandManager } from './managers/ApplicationCommandManager';
+import { MessageManager } from './managers/MessageManager';
+import { PluginManager } from './managers/PluginManager';
+import { GatewaySendQueue } from './utils/GatewaySendQueue';
+import { GatewayInflater } from './utils/GatewayInflater';
+import { Partials, hasPartial } from './utils/Partials';
+import { SweeperManager } from './utils/Sweepers';
+import { PersistentCollection, createCache } from './utils/PersistentCollection';
+import { ErrorCodes, JubbioError, JubbioGatewayError } from './errors';
+import { RedactingLogger } from './utils/Logger';
 
 /**
  * Voice adapter creator type for @jubbio/voice compatibility
@@ -33,6 +60,11 @@ type VoiceAdapterCreator = (methods: {
   destroy(): void;
 };
 
+/**
+ * Reconnect policy with defaults applied
+ */
+type ResolvedReconnectOptions = Required<Omit<ReconnectOptions, 'shouldReconnect'>> & Pick<ReconnectOptions, 'shouldReconnect'>;
+
 /**
  * Main client class
  */
@@ -42,9 +74,12 @@ export class Client extends EventEmitter {
   
   /** REST API client */
   public readonly rest: REST;
+
+  /** Logger from the `logger` option, with the token and payloads redacted (silent without one) */
+  public readonly logger: RedactingLogger;
   
   /** The bot user */
-  public user: User | null = null;
+  public user: ClientUser | null = null;
   
   /** Application ID */
   public applicationId: string | null = null;
@@ -56,13 +91,22 @@ export class Client extends EventEmitter {
   } | null = null;
   
   /** Cached guilds */
-  public guilds: Collection<string, Guild> = new Collection();
+  public guilds: Collection<string, Guild>;
   
   /** Cached channels */
-  public channels: Collection<string, BaseChannel> = new Collection();
+  public channels: Collection<string, BaseChannel>;
   
   /** Cached users */
-  public users: Collection<string, User> = new Collection();
+  public users: Collection<string, User>;
+
+  /** Registered plugins */
+  public readonly plugins: PluginManager;
+
+  /** Per-channel message caches */
+  private readonly messageManagers: Map<string, MessageManager> = new Map();
+
+  /** Periodic cache sweepers (only when the `sweepers` option is set) */
+  public readonly sweepers: SweeperManager | null;
   
   /** Voice adapter management */
   public voice: {
@@ -83,10 +127,31 @@ export class Client extends EventEmitter {
   
   /** Heartbeat interval */
   private heartbeatInterval: NodeJS.Timeout | null = null;
+
+  /** Jittered delay before the first heartbeat after Hello */
+  private heartbeatTimeout: NodeJS.Timeout | null = null;
+
+  /** Whether the last heartbeat we sent has been acknowledged */
+  private _lastHeartbeatAcked: boolean = true;
   
   /** Gateway URL */
   private gatewayUrl: string;
 
+  /** Gateway URL to use when resuming (sent by the server in READY) */
+  private resumeGatewayUrl: string | null = null;
+
+  /** Inflate context of the current connection (zlib-stream compression only) */
+  private inflater: GatewayInflater | null = null;
+
+  /** Number of events replayed since the last Resume was sent */
+  private _replayedEvents: number = 0;
+
+  /** Whether a Resume is in flight (waiting for RESUMED) */
+  private _resuming: boolean = false;
+
+  /** Pending InvalidSession / Reconnect timer */
+  private _sessionTimeout: NodeJS.Timeout | null = null;
+
   /** Last heartbeat sent timestamp (for ping calculation) */
   private _lastHeartbeatSent: number = 0;
 
@@ -103,14 +168,64 @@ export class Client extends EventEmitter {
   /** Reconnect attempt counter */
   private _reconnectAttempts: number = 0;
 
-  /** Maximum reconnect attempts before giving up */
-  private readonly _maxReconnectAttempts: number = 5;
+  /** Resolved reconnect policy */
+  private readonly reconnectOptions: ResolvedReconnectOptions;
+
+  /** Last delay used by the decorrelated jitter strategy */
+  private _lastReconnectDelay: number = 0;
+
+  /** Pending reconnect timer */
+  private _reconnectTimeout: NodeJS.Timeout | null = null;
+
+  /** Rejects the pending login() promise, null when no login is in progress */
+  private _rejectLogin: ((error: Error) => void) | null = null;
+
+  /** Set by destroy() so pending reconnects are abandoned */
+  private _destroyed: boolean = false;
+
+  /** Current bot presence */
+  private presence: PresenceData;
+
+  /** Timestamps of recent presence updates (for rate limiting) */
+  private _presenceUpdates: number[] = [];
+
+  /** Pending throttled presence update */
+  private _presenceTimeout: NodeJS.Timeout | null = null;
+
+  /** Rate limited queue for outbound gateway payloads */
+  private readonly sendQueue: GatewaySendQueue;
 
   constructor(options: ClientOptions) {
     super();
     this.options = options;
     this.gatewayUrl = options.gatewayUrl || 'wss://realtime.jubbio.com/ws/bot';
-    this.rest = new REST(options.apiUrl);
+    if (options.compress && options.compress !== 'zlib-stream') {
+      throw new TypeError(`Unsupported gateway compression: ${options.compress}`);
+    }
+    this.logger = new RedactingLogger(options.logger, options.logRedaction);
+    this.rest = new REST(options.apiUrl, { ...options.rest, locale: options.locale, logger: this.logger });
+    this.rest.on('rateLimited', (data) => this.emit('rateLimited', data));
+    this.rest.on('restRetry', (data) => this.emit('restRetry', data));
+    this.rest.on('uploadProgress', (data) => this.emit('uploadProgress', data));
+    this.reconnectOptions = {
+      maxAttempts: options.reconnect?.maxAttempts ?? 5,
+      baseDelay: options.reconnect?.baseDelay ?? 1000,
+      maxDelay: options.reconnect?.maxDelay ?? 30000,
+      jitter: options.reconnect?.jitter ?? 'none',
+      shouldReconnect: options.reconnect?.shouldReconnect,
+      readyTimeout: options.reconnect?.readyTimeout
+        ?? (options.reconnect?.maxAttempts === Infinity ? 0 : 30000),
+    };
+    this.presence = { ...options.presence };
+    this.guilds = createCache(this, 'GuildManager', 'guilds');
+    this.channels = createCache(this, 'ChannelManager', 'channels');
+    this.users = createCache(this, 'UserManager', 'users');
+    this.sweepers = options.sweepers ? new SweeperManager(this, options.sweepers) : null;
+    this.plugins = new PluginManager(this);
+    this.sendQueue = new GatewaySendQueue(
+      payload => this.transmit(payload),
+      message => this.emit('debug', message)
+    );
     
     // Initialize voice adapter system
     this.voice = {
@@ -119,64 +234,336 @@ export class Client extends EventEmitter {
   }
 
   /**
-   * Calculate intents value
+   * Shard ID this client is connected as
+   */
+  private get shardId(): number {
+    return this.options.shards?.[0] ?? 0;
+  }
+
+  /**
+   * Calculate intents value, including the intents of registered plugins
    */
   private getIntentsValue(): number {
-    if (typeof this.options.intents === 'number') {
-      return this.options.intents;
+    const configured = typeof this.options.intents === 'number'
+      ? this.options.intents
+      : this.options.intents.reduce((acc, intent) => acc | intent, 0);
+    return configured | (this.plugins?.intents ?? 0);
+  }
+
+  /**
+   * Whether the client was configured with a gateway intent
+   */
+  hasIntent(intent: GatewayIntentBits): boolean {
+    return (this.getIntentsValue() & intent) === intent;
+  }
+
+  /**
+   * Check that the intents cover an event a listener is added for.
+   * Reports a warning (once per event), or throws with the `strictIntents` option.
+   */
+  private checkIntents(event: string | symbol): void {
+    if (typeof event !== 'string') return;
+
+    const required = Client.EVENT_INTENTS[event as keyof ClientEvents];
+    if (required && !required.some(intent => this.hasIntent(intent))) {
+      const names = required.map(intent => `GatewayIntentBits.${GatewayIntentBits[intent]}`).join(' or ');
+      this.reportIntentIssue(event, this.createError(ErrorCodes.GatewayIntentMissing, event, names));
     }
-    return this.options.intents.reduce((acc, intent) => acc | intent, 0);
+
+    if (Client.CONTENT_EVENTS.includes(event) && !this.hasIntent(GatewayIntentBits.MessageContent)) {
+      this.reportIntentIssue(`${event}:content`, this.createError(ErrorCodes.GatewayMessageContentMissing, event));
+    }
+  }
+
+  /**
+   * Throw (strictIntents) or warn about a missing intent
+   */
+  private reportIntentIssue(key: string, error: JubbioError): void {
+    if (this.options.strictIntents) {
+      throw error;
+    }
+    if (this._intentWarnings.has(key)) return;
+    this._intentWarnings.add(key);
+
+    if (this.listenerCount('warn') > 0) {
+      this.emit('warn', error.message);
+    } else {
+      process.emitWarning(error.message, { code: 'JUBBIO_MISSING_INTENT' });
+    }
+  }
+
+  /**
+   * Create an error in the configured locale
+   */
+  private createError(code: ErrorCodes, ...args: unknown[]): JubbioError {
+    return new JubbioError(code, args, { locale: this.options.locale });
+  }
+
+  /**
+   * Create the error of a gateway close code that can't be recovered from
+   */
+  private createGatewayError(closeCode: number, reason: string = ''): JubbioGatewayError {
+    const code = Client.CLOSE_CODES[closeCode]?.code ?? ErrorCodes.GatewayConnectionRejected;
+    return new JubbioGatewayError(code, closeCode, reason, { locale: this.options.locale });
   }
 
   /**
-   * Gateway close code descriptions
+   * Gateway close code descriptions, with the error code of the ones that can't be reconnected
    */
-  private static readonly CLOSE_CODES: Record<number, { message: string; reconnectable: boolean }> = {
+  private static readonly CLOSE_CODES: Record<number, { message: string; reconnectable: boolean; code?: ErrorCodes }> = {
     4000: { message: 'Bilinmeyen hata (Unknown error)', reconnectable: true },
     4001: { message: 'Bilinmeyen opcode gönderildi (Unknown opcode)', reconnectable: true },
     4002: { message: 'Geçersiz payload gönderildi (Decode error)', reconnectable: true },
     4003: { message: 'Henüz kimlik doğrulaması yapılmadı (Not authenticated)', reconnectable: true },
-    4004: { message: 'Geçersiz bot token\'ı (Authentication failed)', reconnectable: false },
+    4004: { message: 'Geçersiz bot token\'ı (Authentication failed)', reconnectable: false, code: ErrorCodes.TokenInvalid },
     4005: { message: 'Zaten kimlik doğrulaması yapılmış (Already authenticated)', reconnectable: true },
     4007: { message: 'Geçersiz sequence numarası (Invalid seq)', reconnectable: true },
     4008: { message: 'Rate limit aşıldı (Rate limited)', reconnectable: true },
     4009: { message: 'Oturum zaman aşımına uğradı (Session timed out)', reconnectable: true },
-    4010: { message: 'Geçersiz shard yapılandırması (Invalid shard)', reconnectable: false },
-    4011: { message: 'Sharding gerekli (Sharding required)', reconnectable: false },
-    4014: { message: 'İzin verilmeyen intent\'ler istendi (Disallowed intents)', reconnectable: false },
+    4010: { message: 'Geçersiz shard yapılandırması (Invalid shard)', reconnectable: false, code: ErrorCodes.GatewayInvalidShard },
+    4011: { message: 'Sharding gerekli (Sharding required)', reconnectable: false, code: ErrorCodes.GatewayShardingRequired },
+    4014: {
+      message: 'İzin verilmeyen intent\'ler istendi (Disallowed intents)',
+      reconnectable: false,
+      code: ErrorCodes.GatewayDisallowedIntents,
+    },
+  };
+
+  /**
+   * Presence updates allowed per window, kept well below the gateway limit (close code 4008)
+   */
+  private static readonly PRESENCE_RATE_LIMIT = { count: 5, window: 20000 };
+
+  /**
+   * Close codes after which the session can no longer be resumed
+   */
+  private static readonly SESSION_INVALIDATING_CODES: number[] = [1000, 4007, 4009];
+
+  /**
+   * Intents an event needs, any one of them is enough (guild or direct message variant)
+   */
+  private static readonly EVENT_INTENTS: Partial<Record<keyof ClientEvents, GatewayIntentBits[]>> = {
+    guildCreate: [GatewayIntentBits.Guilds],
+    guildUpdate: [GatewayIntentBits.Guilds],
+    guildDelete: [GatewayIntentBits.Guilds],
+    channelCreate: [GatewayIntentBits.Guilds],
+    channelUpdate: [GatewayIntentBits.Guilds],
+    channelDelete: [GatewayIntentBits.Guilds],
+    roleCreate: [GatewayIntentBits.Guilds],
+    roleUpdate: [GatewayIntentBits.Guilds],
+    roleDelete: [GatewayIntentBits.Guilds],
+    guildMemberAdd: [GatewayIntentBits.GuildMembers],
+    guildMemberUpdate: [GatewayIntentBits.GuildMembers],
+    guildMemberRemove: [GatewayIntentBits.GuildMembers],
+    guildBanAdd: [GatewayIntentBits.GuildModeration],
+    guildBanRemove: [GatewayIntentBits.GuildModeration],
+    inviteCreate: [GatewayIntentBits.GuildInvites],
+    inviteDelete: [GatewayIntentBits.GuildInvites],
+    voiceStateUpdate: [GatewayIntentBits.GuildVoiceStates],
+    presenceUpdate: [GatewayIntentBits.GuildPresences],
+    messageCreate: [GatewayIntentBits.GuildMessages, GatewayIntentBits.DirectMessages],
+    messageUpdate: [GatewayIntentBits.GuildMessages, GatewayIntentBits.DirectMessages],
+    messageDelete: [GatewayIntentBits.GuildMessages, GatewayIntentBits.DirectMessages],
+    messageDeleteBulk: [GatewayIntentBits.GuildMessages],
+    messageReactionAdd: [GatewayIntentBits.GuildMessageReactions, GatewayIntentBits.DirectMessageReactions],
+    messageReactionRemove: [GatewayIntentBits.GuildMessageReactions, GatewayIntentBits.DirectMessageReactions],
+    messageReactionRemoveAll: [GatewayIntentBits.GuildMessageReactions, GatewayIntentBits.DirectMessageReactions],
+    messageReactionRemoveEmoji: [GatewayIntentBits.GuildMessageReactions, GatewayIntentBits.DirectMessageReactions],
+    typingStart: [GatewayIntentBits.GuildMessageTyping, GatewayIntentBits.DirectMessageTyping],
   };
 
+  /**
+   * Events whose payloads carry message content (privileged MessageContent intent)
+   */
+  private static readonly CONTENT_EVENTS: string[] = ['messageCreate', 'messageUpdate'];
+
+  /** Intent warnings already reported, so each is only reported once */
+  private readonly _intentWarnings: Set<string> = new Set();
+
+  /**
+   * Events that go through the middleware chain and whose listeners are isolated:
+   * the gateway events. Lifecycle events (ready, debug, error, shard events, ...) are emitted directly.
+   */
+  private static readonly MIDDLEWARE_EVENTS: Set<string> = new Set([
+    ...Object.keys(Client.EVENT_INTENTS),
+    'interactionCreate',
+  ]);
+
+  /** Middleware registered with use(), in order */
+  private readonly _middleware: ClientMiddleware[] = [];
+
+  /**
+   * Add a middleware that runs before the listeners of every gateway event.
+   * Middleware run in the order they were added; each one decides whether the event
+   * continues by calling `next()`. A middleware that throws drops the event and the error
+   * is reported with `unhandledListenerError`, like errors thrown by listeners.
+   *
+   * @example
+   * // Ignore messages from bots
+   * client.use(async (eventName, args, next) => {
+   *   if (eventName === 'messageCreate' && args[0].author.bot) return;
+   *   await next();
+   * });
+   *
+   * // Attach per-guild settings before listeners run
+   * client.use(async (eventName, [message], next) => {
+   *   if (eventName === 'messageCreate' && message.guildId) {
+   *     message.settings = await settings.get(message.guildId);
+   *   }
+   *   await next();
+   * });
+   */
+  use(middleware: ClientMiddleware): this {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+    this._middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Run an event through the middleware chain, then call its listeners
+   */
+  private async runMiddleware(event: keyof ClientEvents, args: any[]): Promise<void> {
+    const middleware = [...this._middleware];
+    let reached = -1;
+
+    const dispatch = async (index: number): Promise<void> => {
+      if (index <= reached) {
+        throw new Error(`next() called more than once by middleware #${index - 1} for "${event}"`);
+      }
+      reached = index;
+      if (index < middleware.length) {
+        await middleware[index](event, args, () => dispatch(index + 1));
+      } else {
+        this.invokeListeners(event, args);
+      }
+    };
+
+    try {
+      await dispatch(0);
+    } catch (error) {
+      this.reportListenerError(error, event);
+    }
+  }
+
+  /**
+   * Call each listener of an event on its own, so one throwing (or rejecting) doesn't stop the others
+   */
+  private invokeListeners(event: keyof ClientEvents, args: any[]): void {
+    // rawListeners keeps the once() wrappers, which remove themselves when called
+    for (const listener of this.rawListeners(event)) {
+      try {
+        const result = listener.apply(this, args);
+        if (result && typeof result.then === 'function') {
+          result.then(undefined, (error: unknown) => this.reportListenerError(error, event));
+        }
+      } catch (error) {
+        this.reportListenerError(error, event);
+      }
+    }
+  }
+
+  /**
+   * Report an error thrown by a middleware or listener instead of letting it crash the process
+   */
+  private reportListenerError(error: unknown, event: keyof ClientEvents): void {
+    if (this.listenerCount('unhandledListenerError') > 0) {
+      try {
+        super.emit('unhandledListenerError', error, event);
+        return;
+      } catch (handlerError) {
+        error = handlerError;
+      }
+    }
+    const message = `Unhandled error in a "${event}" listener or middleware: ${error instanceof Error ? error.message : String(error)}`;
+    this.logger.error(message, { error });
+    process.emitWarning(message, {
+      code: 'JUBBIO_LISTENER_ERROR',
+      detail: error instanceof Error ? error.stack : undefined,
+    });
+  }
+
+  // ==================== Typed events ====================
+
+  on<K extends keyof ClientEvents>(event: K, listener: (...args: ClientEvents[K]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this {
+    this.checkIntents(event);
+    return super.on(event, listener);
+  }
+
+  once<K extends keyof ClientEvents>(event: K, listener: (...args: ClientEvents[K]) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this {
+    // EventEmitter#once registers through on(), which checks the intents
+    return super.once(event, listener);
+  }
+
+  off<K extends keyof ClientEvents>(event: K, listener: (...args: ClientEvents[K]) => void): this;
+  off(event: string | symbol, listener: (...args: any[]) => void): this {
+    return super.off(event, listener);
+  }
+
+  emit<K extends keyof ClientEvents>(event: K, ...args: ClientEvents[K]): boolean;
+  emit(event: string | symbol, ...args: any[]): boolean {
+    // Debug messages reach the logger whether or not anything listens to 'debug'
+    if (event === 'debug') this.logger.debug(args[0]);
+
+    if (typeof event === 'string' && Client.MIDDLEWARE_EVENTS.has(event)) {
+      const hasListeners = this.listenerCount(event) > 0;
+      if (this._middleware.length > 0) {
+        void this.runMiddleware(event as keyof ClientEvents, args);
+      } else {
+        this.invokeListeners(event as keyof ClientEvents, args);
+      }
+      return hasListeners;
+    }
+
+    return super.emit(event, ...args);
+  }
+
   /**
    * Login to the gateway
    */
   async login(token: string): Promise<string> {
     if (!token || typeof token !== 'string') {
-      throw new Error(
-        'Geçerli bir bot token\'ı sağlanmalıdır. Örnek: client.login(process.env.BOT_TOKEN)'
-      );
+      throw this.createError(ErrorCodes.TokenMissing);
+    }
+
+    // Listeners may have been added before the intents were final (or via addListener)
+    for (const event of this.eventNames()) {
+      this.checkIntents(event);
     }
 
     this.token = token.replace(/^Bot\s+/i, '');
+    this.logger.setToken(this.token);
     this.rest.setToken(this.token);
     this._loginState = 'connecting';
+    this._destroyed = false;
     this._reconnectAttempts = 0;
+    this._lastReconnectDelay = 0;
+    this.resetSession();
 
     return new Promise((resolve, reject) => {
       const cleanup = () => {
-        clearTimeout(timeout);
+        if (timeout) clearTimeout(timeout);
+        this._rejectLogin = null;
         this.removeListener('ready', onReady);
         this.removeListener('error', onError);
-        this.removeListener('gatewayClose', onGatewayClose);
+        this.removeListener('shardDisconnect', onDisconnect);
       };
 
-      const timeout = setTimeout(() => {
+      // Covers reconnect attempts too, so stop them along with the login
+      const { readyTimeout } = this.reconnectOptions;
+      const timeout = readyTimeout > 0 ? setTimeout(() => {
         cleanup();
-        this._loginState = 'idle';
-        reject(new Error(
-          'Gateway\'e bağlanılamadı: 30 saniye içinde READY event\'i alınamadı. ' +
-          'Olası sebepler: gateway sunucusu erişilemez, token geçersiz veya ağ sorunu.'
-        ));
-      }, 30000);
+        this.disconnect();
+        reject(this.createError(ErrorCodes.GatewayReadyTimeout, readyTimeout / 1000));
+      }, readyTimeout) : null;
+
+      this._rejectLogin = (error: Error) => {
+        cleanup();
+        reject(error);
+      };
 
       const onReady = () => {
         cleanup();
@@ -191,19 +578,18 @@ export class Client extends EventEmitter {
         reject(error);
       };
 
-      const onGatewayClose = (code: number, reason: string) => {
-        const info = Client.CLOSE_CODES[code];
-        if (info && !info.reconnectable) {
-          cleanup();
-          this._loginState = 'idle';
-          reject(new Error(`Gateway bağlantısı reddedildi [${code}]: ${info.message}${reason ? ' - ' + reason : ''}`));
-        }
-        // Reconnectable codes: login promise stays alive, connect() will retry
+      const onDisconnect = ({ code, reason, reconnecting }: ShardDisconnectEvent) => {
+        // Reconnecting: login promise stays alive, connect() will retry
+        if (reconnecting) return;
+        // Not reconnecting (close code or shouldReconnect): nothing will send READY
+        cleanup();
+        this._loginState = 'idle';
+        reject(this.createGatewayError(code, reason));
       };
 
       this.once('ready', onReady);
       this.once('error', onError);
-      this.on('gatewayClose', onGatewayClose);
+      this.on('shardDisconnect', onDisconnect);
 
       this.connect();
     });
@@ -213,18 +599,46 @@ export class Client extends EventEmitter {
    * Connect to the gateway
    */
   private connect(): void {
-    this.ws = new WebSocket(this.gatewayUrl);
+    // Resume on the URL the server handed out in READY, otherwise start fresh
+    const url = this.canResume() && this.resumeGatewayUrl ? this.resumeGatewayUrl : this.gatewayUrl;
+    const ws = new WebSocket(this.buildGatewayUrl(url));
+    this.ws = ws;
+
+    // zlib-stream shares one inflate context per connection
+    this.inflater?.destroy();
+    const inflater = this.options.compress === 'zlib-stream'
+      ? new GatewayInflater(
+          (message) => {
+            if (this.ws === ws) this.handleMessage(message);
+          },
+          (error) => {
+            if (this.ws !== ws) return;
+            this.emit('debug', `Failed to inflate gateway message: ${error.message}`);
+            // The context is unusable now, reconnect with a fresh one
+            ws.terminate();
+          }
+        )
+      : null;
+    this.inflater = inflater;
     
-    this.ws.on('open', () => {
+    ws.on('open', () => {
+      if (this.ws !== ws) return;
       this.emit('debug', 'WebSocket bağlantısı açıldı');
       this._reconnectAttempts = 0;
     });
     
-    this.ws.on('message', (data) => {
+    ws.on('message', (data, isBinary) => {
+      if (this.ws !== ws) return;
+      if (isBinary && inflater) {
+        inflater.push(data);
+        return;
+      }
       this.handleMessage(data.toString());
     });
     
-    this.ws.on('close', (code, reason) => {
+    ws.on('close', (code, reason) => {
+      // Ignore close events from sockets that have already been replaced
+      if (this.ws !== ws && this.ws !== null) return;
       const reasonStr = reason?.toString() || '';
       const info = Client.CLOSE_CODES[code];
       
@@ -236,41 +650,107 @@ export class Client extends EventEmitter {
       
       this.cleanup();
 
-      // Emit gatewayClose so login() can handle non-reconnectable codes
       this.emit('gatewayClose', code, reasonStr);
 
-      // Non-reconnectable codes: don't retry
-      if (info && !info.reconnectable) {
-        this.emit('debug', `Kod ${code} yeniden bağlanılamaz, bağlantı sonlandırılıyor.`);
-        return;
+      // These codes invalidate the session, next connection must identify
+      if (Client.SESSION_INVALIDATING_CODES.includes(code)) {
+        this.resetSession();
       }
 
-      // Normal close: don't retry
-      if (code === 1000) {
+      const { maxAttempts } = this.reconnectOptions;
+      const reconnecting = !this._destroyed
+        && this.shouldReconnect(code, reasonStr)
+        && this._reconnectAttempts < maxAttempts;
+
+      this.emit('shardDisconnect', { shardId: this.shardId, code, reason: reasonStr, reconnecting });
+
+      if (!reconnecting) {
+        this.resetSession();
+        if (this._destroyed || code === 1000) return;
+
+        if (info && !info.reconnectable) {
+          this.emit('debug', `Kod ${code} yeniden bağlanılamaz, bağlantı sonlandırılıyor.`);
+        } else if (this._reconnectAttempts >= maxAttempts) {
+          this.emit('debug', `Maksimum yeniden bağlanma denemesi aşıldı (${maxAttempts})`);
+          this.emit('error', new JubbioGatewayError(
+            ErrorCodes.GatewayReconnectFailed, code, reasonStr, { locale: this.options.locale }, [maxAttempts]
+          ));
+        }
         return;
       }
 
       // Reconnectable: retry with backoff
       this._reconnectAttempts++;
-      if (this._reconnectAttempts > this._maxReconnectAttempts) {
-        this.emit('debug', `Maksimum yeniden bağlanma denemesi aşıldı (${this._maxReconnectAttempts})`);
-        this.emit('error', new Error(
-          `Gateway bağlantısı ${this._maxReconnectAttempts} denemeden sonra kurulamadı. Son kapanma kodu: ${code}`
-        ));
-        return;
-      }
+      const delay = this.getReconnectDelay(this._reconnectAttempts);
+      const limit = maxAttempts === Infinity ? '∞' : maxAttempts;
+      this.emit('debug', `Yeniden bağlanılıyor (deneme ${this._reconnectAttempts}/${limit}), ${delay}ms sonra...`);
+      this.emit('shardReconnecting', {
+        shardId: this.shardId,
+        attempt: this._reconnectAttempts,
+        maxAttempts,
+        delay,
+        code,
+      });
 
-      const delay = Math.min(1000 * Math.pow(2, this._reconnectAttempts - 1), 30000);
-      this.emit('debug', `Yeniden bağlanılıyor (deneme ${this._reconnectAttempts}/${this._maxReconnectAttempts}), ${delay}ms sonra...`);
-      setTimeout(() => this.connect(), delay);
+      this._reconnectTimeout = setTimeout(() => {
+        this._reconnectTimeout = null;
+        if (!this._destroyed) this.connect();
+      }, delay);
     });
     
-    this.ws.on('error', (error) => {
+    ws.on('error', (error) => {
+      if (this.ws !== ws) return;
       this.emit('debug', `WebSocket hatası: ${error.message}`);
       this.emit('error', error);
     });
   }
 
+  /**
+   * Decide whether a closed connection should be retried
+   */
+  private shouldReconnect(code: number, reason: string): boolean {
+    if (this.reconnectOptions.shouldReconnect) {
+      return this.reconnectOptions.shouldReconnect(code, reason);
+    }
+    // Normal close: don't retry
+    if (code === 1000) return false;
+    const info = Client.CLOSE_CODES[code];
+    return !info || info.reconnectable;
+  }
+
+  /**
+   * Backoff delay for a reconnect attempt, with the configured jitter applied
+   */
+  private getReconnectDelay(attempt: number): number {
+    const { baseDelay, maxDelay, jitter } = this.reconnectOptions;
+    const exponential = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+
+    switch (jitter) {
+      case 'full':
+        return Math.floor(Math.random() * exponential);
+      case 'equal':
+        return Math.floor(exponential / 2 + Math.random() * (exponential / 2));
+      case 'decorrelated': {
+        const previous = this._lastReconnectDelay || baseDelay;
+        const delay = Math.min(maxDelay, Math.floor(baseDelay + Math.random() * (previous * 3 - baseDelay)));
+        this._lastReconnectDelay = delay;
+        return delay;
+      }
+      default:
+        return exponential;
+    }
+  }
+
+  /**
+   * Add the compression query parameter to a gateway URL
+   */
+  private buildGatewayUrl(url: string): string {
+    if (!this.options.compress) return url;
+    const parsed = new URL(url);
+    parsed.searchParams.set('compress', this.options.compress);
+    return parsed.toString();
+  }
+
   /**
    * Handle incoming gateway message
    */
@@ -283,7 +763,8 @@ export class Client extends EventEmitter {
         const payload: GatewayPayload = JSON.parse(msg);
         this.handlePayload(payload);
       } catch (e) {
-        this.emit('debug', `Failed to parse message: ${msg}`);
+        // The payload can hold tokens and message content, only its size is logged
+        this.emit('debug', `Failed to parse gateway message (${msg.length} characters)`);
       }
     }
   }
@@ -305,31 +786,58 @@ export class Client extends EventEmitter {
         this.handleDispatch(payload.t!, payload.d);
         break;
         
+      case GatewayOpcodes.Heartbeat:
+        // Server asked for an immediate heartbeat
+        this.sendHeartbeat();
+        break;
+        
       case GatewayOpcodes.HeartbeatAck:
+        this._lastHeartbeatAcked = true;
         if (this._lastHeartbeatSent > 0) {
           this.ping = Date.now() - this._lastHeartbeatSent;
         }
         this.emit('debug', `Heartbeat acknowledged (ping: ${this.ping}ms)`);
         break;
         
-      case GatewayOpcodes.InvalidSession:
-        this.emit('debug', 'Geçersiz oturum, yeniden kimlik doğrulanıyor...');
+      case GatewayOpcodes.InvalidSession: {
         // InvalidSession may carry error data from sendError()
         if (payload.d && typeof payload.d === 'object' && payload.d.code && payload.d.message) {
           this.emit('debug', `Sunucu hatası [${payload.d.code}]: ${payload.d.message}`);
           const info = Client.CLOSE_CODES[payload.d.code];
           if (info && !info.reconnectable) {
-            this.emit('error', new Error(`Gateway hatası [${payload.d.code}]: ${info.message}`));
+            this.emit('error', this.createGatewayError(payload.d.code, payload.d.message));
             return;
           }
         }
-        setTimeout(() => this.identify(), 5000);
+
+        // d: true means the session can still be resumed
+        const resumable = payload.d === true && this.canResume();
+        if (resumable) {
+          this.emit('debug', 'Geçersiz oturum, oturum devam ettiriliyor...');
+        } else {
+          this.emit('debug', 'Geçersiz oturum, yeniden kimlik doğrulanıyor...');
+          this.resetSession();
+        }
+
+        // Wait a random 1-5 seconds before trying again
+        const delay = 1000 + Math.floor(Math.random() * 4000);
+        this.clearSessionTimeout();
+        this._sessionTimeout = setTimeout(() => {
+          this._sessionTimeout = null;
+          if (resumable) {
+            this.resume();
+          } else {
+            this.identify();
+          }
+        }, delay);
         break;
+      }
         
       case GatewayOpcodes.Reconnect:
+        // Close with a non-1000 code so the session stays resumable;
+        // the close handler takes care of reconnecting
         this.emit('debug', 'Reconnect requested');
-        this.ws?.close();
-        setTimeout(() => this.connect(), 1000);
+        this.ws?.close(4000, 'Reconnect requested');
         break;
     }
   }
@@ -340,7 +848,11 @@ export class Client extends EventEmitter {
   private handleHello(data: { heartbeat_interval: number }): void {
     this.emit('debug', `Received Hello, heartbeat interval: ${data.heartbeat_interval}ms`);
     this.startHeartbeat(data.heartbeat_interval);
-    this.identify();
+    if (this.canResume()) {
+      this.resume();
+    } else {
+      this.identify();
+    }
   }
 
   /**
@@ -348,11 +860,19 @@ export class Client extends EventEmitter {
    */
   private handleDispatch(eventType: string, data: any): void {
     this.emit('debug', `Dispatch: ${eventType}`);
+
+    if (this._resuming && eventType !== 'RESUMED') {
+      this._replayedEvents++;
+    }
     
     switch (eventType) {
       case 'READY':
         this.handleReady(data);
         break;
+
+      case 'RESUMED':
+        this.handleResumed();
+        break;
         
       case 'GUILD_CREATE':
         this.handleGuildCreate(data);
@@ -371,64 +891,53 @@ export class Client extends EventEmitter {
         break;
         
       case 'MESSAGE_UPDATE':
-        this.emit('messageUpdate', data);
+        this.handleMessageUpdate(data);
         break;
         
-      case 'MESSAGE_DELETE':
-        this.emit('messageDelete', data);
-        break;
-        
-      case 'MESSAGE_DELETE_BULK':
-        this.emit('messageDeleteBulk', data);
-        break;
-        
-      case 'CHANNEL_CREATE': {
-        // Update guild channel cache
-        const guildId = data.guild_id;
-        const channelId = data.id || data.channel_id;
-        if (guildId && channelId) {
-          const guild = this.guilds.get(guildId);
-          if (guild) {
-            guild.channels.set(channelId, data);
-          }
+      case 'MESSAGE_DELETE': {
+        const message = this.removeCachedMessage(data);
+        if (!message.partial || hasPartial(this, Partials.Message)) {
+          this.emit('messageDelete', message);
         }
-        this.emit('channelCreate', data);
         break;
       }
         
-      case 'CHANNEL_UPDATE': {
-        const guildId = data.guild_id;
-        const channelId = data.id || data.channel_id;
-        if (guildId && channelId) {
-          const guild = this.guilds.get(guildId);
-          if (guild) {
-            guild.channels.set(channelId, data);
+      case 'MESSAGE_DELETE_BULK': {
+        const messages = new Collection<string, Message | PartialMessage>();
+        for (const id of data.ids ?? []) {
+          const message = this.removeCachedMessage({ ...data, id: String(id) });
+          if (!message.partial || hasPartial(this, Partials.Message)) {
+            messages.set(message.id, message);
           }
         }
-        this.emit('channelUpdate', data);
+        if (messages.size > 0) this.emit('messageDeleteBulk', messages);
         break;
       }
         
-      case 'CHANNEL_DELETE': {
-        const guildId = data.guild_id;
-        const channelId = data.id || data.channel_id;
-        if (guildId && channelId) {
-          const guild = this.guilds.get(guildId);
-          if (guild) {
-            guild.channels.delete(channelId);
-          }
-        }
-        this.emit('channelDelete', data);
+      case 'MESSAGE_REACTION_ADD':
+        this.handleReactionAdd(data);
+        break;
+
+      case 'MESSAGE_REACTION_REMOVE':
+        this.handleReactionRemove(data);
+        break;
+
+      case 'MESSAGE_REACTION_REMOVE_ALL':
+      case 'MESSAGE_REACTION_REMOVE_EMOJI':
+        this.handleReactionClear(eventType, data);
+        break;
+        
+      case 'CHANNEL_CREATE':
+      case 'CHANNEL_UPDATE':
+      case 'CHANNEL_DELETE':
+        this.handleChannelEvent(eventType, data);
         break;
-      }
         
       case 'GUILD_MEMBER_ADD': {
         const guild = this.guilds.get(String(data.guild_id));
         if (guild && data.user) {
           const member = guild._addMember(data);
           this.emit('guildMemberAdd', member);
-        } else {
-          this.emit('guildMemberAdd', data);
         }
         break;
       }
@@ -439,66 +948,85 @@ export class Client extends EventEmitter {
         if (guild && rawUserId) {
           const existing = guild.members.get(String(rawUserId));
           if (existing) {
+            const old = existing._clone();
             existing._patch(data);
-            this.emit('guildMemberUpdate', existing);
-          } else {
-            this.emit('guildMemberUpdate', data);
+            guild.members.set(existing.id, existing);
+            this.emit('guildMemberUpdate', old, existing);
+          } else if (data.user) {
+            // Previous state unknown: cache the member, old member is partial
+            const old = guild.members._add({ user: data.user, roles: [] } as unknown as APIGuildMember, false);
+            const member = guild._addMember(data);
+            if (hasPartial(this, Partials.GuildMember)) {
+              this.emit('guildMemberUpdate', old, member);
+            }
           }
-        } else {
-          this.emit('guildMemberUpdate', data);
         }
         break;
       }
         
+      case 'GUILD_MEMBERS_CHUNK':
+        this.handleGuildMembersChunk(data);
+        break;
+        
       case 'GUILD_MEMBER_REMOVE': {
         const guild = this.guilds.get(String(data.guild_id));
         const rawUserId = data.user?.id || data.user_id;
         if (guild && rawUserId) {
           const userId = String(rawUserId);
-          const member = guild.members.get(userId);
+          const member = guild.members.get(userId)
+            ?? guild.members._add({ roles: [], ...data, user: data.user ?? { id: userId } }, false);
           guild.members.delete(userId);
-          this.emit('guildMemberRemove', member || data);
-        } else {
-          this.emit('guildMemberRemove', data);
+          const emit = (!member.partial || hasPartial(this, Partials.GuildMember))
+            && (!member.user.partial || hasPartial(this, Partials.User));
+          if (emit) this.emit('guildMemberRemove', member);
         }
         break;
       }
         
       case 'GUILD_ROLE_CREATE':
-        this.emit('roleCreate', data);
-        break;
-        
       case 'GUILD_ROLE_UPDATE':
-        this.emit('roleUpdate', data);
-        break;
-        
       case 'GUILD_ROLE_DELETE':
-        this.emit('roleDelete', data);
+        this.handleRoleEvent(eventType, data);
         break;
         
-      case 'GUILD_BAN_ADD':
-        this.emit('guildBanAdd', data);
+      case 'GUILD_BAN_ADD': {
+        const ban = new GuildBan(this, data);
+        this.guilds.get(ban.guildId)?.bans.cache.set(ban.user.id, ban);
+        this.emit('guildBanAdd', ban);
         break;
+      }
         
-      case 'GUILD_BAN_REMOVE':
-        this.emit('guildBanRemove', data);
+      case 'GUILD_BAN_REMOVE': {
+        const ban = new GuildBan(this, data);
+        this.guilds.get(ban.guildId)?.bans.cache.delete(ban.user.id);
+        this.emit('guildBanRemove', ban);
         break;
+      }
         
-      case 'INVITE_CREATE':
-        this.emit('inviteCreate', data);
+      case 'INVITE_CREATE': {
+        const invite = new Invite(this, data);
+        if (invite.guildId) this.guilds.get(invite.guildId)?.invites.set(invite.code, invite);
+        this.emit('inviteCreate', invite);
         break;
+      }
         
-      case 'INVITE_DELETE':
-        this.emit('inviteDelete', data);
+      case 'INVITE_DELETE': {
+        const invite = new Invite(this, data);
+        if (invite.guildId) this.guilds.get(invite.guildId)?.invites.delete(invite.code);
+        this.emit('inviteDelete', invite);
         break;
+      }
         
       case 'TYPING_START':
-        this.emit('typingStart', data);
+        this.handleTypingStart(data);
         break;
         
-      case 'PRESENCE_UPDATE':
-        this.emit('presenceUpdate', data);
+      case 'PRESENCE_UPDATE': {
+        const presence = new Presence(this, data);
+        if (presence.guildId) this.guilds.get(presence.guildId)?.presences.set(presence.userId, presence);
+        this.emit('presenceUpdate', presence);
         break;
+      }
         
       case 'INTERACTION_CREATE':
         this.handleInteractionCreate(data);
@@ -523,7 +1051,11 @@ export class Client extends EventEmitter {
    */
   private handleReady(data: ReadyEventData): void {
     this.sessionId = data.session_id;
-    this.user = new User(data.user);
+    this.resumeGatewayUrl = data.resume_gateway_url || null;
+    this._resuming = false;
+    this.user = new ClientUser(this, data.user);
+    // Session is established, send whatever was buffered while connecting
+    this.sendQueue.open();
     // Handle both string and number application IDs
     this.applicationId = data.application?.id ? String(data.application.id) : null;
     if (this.applicationId) {
@@ -536,18 +1068,24 @@ export class Client extends EventEmitter {
       commands: new ApplicationCommandManager(this.rest),
     };
     
-    // Cache guilds (as unavailable initially)
+    // Cache guilds (as unavailable initially), guilds restored from a cache adapter are kept
     if (data.guilds) {
       for (const guild of data.guilds) {
-        this.guilds.set(String(guild.id), new Guild(this, guild));
+        if (!this.guilds.has(String(guild.id))) {
+          this.guilds.set(String(guild.id), new Guild(this, guild));
+        }
       }
     }
     
     // Setup voice adapters for each guild
     this.setupVoiceAdapters();
+
+    // Cache sweepers run for the lifetime of the client
+    this.sweepers?.start();
     
-    console.log(`✅ Bot hazır! User: ${this.user.username} (${this.user.id}), App: ${this.applicationId}`);
+    this.logger.info(`Ready as ${this.user.username} (${this.user.id}), application ${this.applicationId}`);
     this.emit('ready', this);
+    this.plugins._handleReady();
 
     // Signal shard manager that this shard is ready (if running as a shard)
     if (process.send) {
@@ -555,6 +1093,24 @@ export class Client extends EventEmitter {
     }
   }
 
+  /**
+   * Handle Resumed event
+   */
+  private handleResumed(): void {
+    const replayed = this._replayedEvents;
+    this._resuming = false;
+    this._replayedEvents = 0;
+    this.emit('debug', `Session resumed, ${replayed} event(s) replayed`);
+    this.sendQueue.open();
+    this.emit('resumed', replayed);
+    this.emit('shardResume', this.shardId, replayed);
+
+    // Re-apply the presence in case the server lost it while we were away
+    if (this.hasPresence()) {
+      this.flushPresence();
+    }
+  }
+
   /**
    * Setup voice adapters for all guilds
    */
@@ -575,11 +1131,9 @@ export class Client extends EventEmitter {
       
       return {
         sendPayload: (payload) => {
-          if (this.ws?.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify(payload));
-            return true;
-          }
-          return false;
+          // Queued while reconnecting, sent once the session is back
+          this.send(payload);
+          return true;
         },
         destroy: () => {
           this.voiceStateHandlers.delete(guildId);
@@ -599,6 +1153,8 @@ export class Client extends EventEmitter {
     
     if (guild) {
       guild._patch(data);
+      // Re-set so a cache adapter stores the patched guild
+      this.guilds.set(data.id, guild);
     } else {
       guild = new Guild(this, data);
       this.guilds.set(data.id, guild);
@@ -614,23 +1170,126 @@ export class Client extends EventEmitter {
   private handleGuildUpdate(data: APIGuild): void {
     const guild = this.guilds.get(data.id);
     if (guild) {
+      const old = guild._clone();
       guild._patch(data);
-      this.emit('guildUpdate', guild);
+      this.guilds.set(data.id, guild);
+      this.emit('guildUpdate', old, guild);
+    }
+  }
+
+  /**
+   * Handle Guild Role Create/Update/Delete events
+   */
+  private handleRoleEvent(eventType: string, data: { guild_id: string; role?: APIRole; role_id?: string }): void {
+    const guildId = String(data.guild_id);
+    const guild = this.guilds.get(guildId);
+
+    if (eventType === 'GUILD_ROLE_DELETE') {
+      const roleId = String(data.role_id ?? data.role?.id);
+      const cached = guild?.roles._remove(roleId);
+      const role = cached ?? new Role(this, guildId, data.role ?? { id: roleId } as APIRole);
+      if (!role.partial || hasPartial(this, Partials.Role)) {
+        this.emit('roleDelete', role);
+      }
+      return;
+    }
+
+    const roleData = data.role ?? (data as unknown as APIRole);
+    // Without a cached guild there's nothing to keep in sync
+    const old = guild?.roles.cache.get(String(roleData.id))?._clone();
+    const role = guild ? guild.roles._add(roleData) : new Role(this, guildId, roleData);
+
+    if (eventType === 'GUILD_ROLE_CREATE') {
+      this.emit('roleCreate', role);
+    } else if (old) {
+      this.emit('roleUpdate', old, role);
+    } else if (hasPartial(this, Partials.Role)) {
+      this.emit('roleUpdate', new Role(this, guildId, { id: roleData.id } as APIRole), role);
+    }
+  }
+
+  /**
+   * Handle Channel Create/Update/Delete events
+   */
+  private handleChannelEvent(eventType: string, data: APIChannel & { channel_id?: string }): void {
+    // Update guild channel cache
+    const guildId = data.guild_id ? String(data.guild_id) : undefined;
+    const channelId = String(data.id || data.channel_id);
+    const guild = guildId ? this.guilds.get(guildId) : undefined;
+    const cached = guild?.channels.get(channelId);
+    const channel = createChannel(this, { ...cached, ...data, id: channelId });
+
+    if (eventType === 'CHANNEL_DELETE') {
+      guild?.channels.delete(channelId);
+      this.messageManagers.delete(channelId);
+      this.emit('channelDelete', channel);
+      return;
+    }
+
+    guild?.channels.set(channelId, data);
+    if (eventType === 'CHANNEL_CREATE') {
+      this.emit('channelCreate', channel);
+    } else {
+      if (cached) {
+        this.emit('channelUpdate', createChannel(this, cached), channel);
+      } else if (hasPartial(this, Partials.Channel)) {
+        this.emit('channelUpdate', createChannel(this, { id: channelId } as APIChannel), channel);
+      }
     }
   }
 
   /**
    * Handle Guild Delete event
    */
-  private handleGuildDelete(data: { id: string }): void {
+  private handleGuildDelete(data: { id: string; unavailable?: boolean }): void {
     const guild = this.guilds.get(data.id);
     if (guild) {
       this.guilds.delete(data.id);
+      if (!data.unavailable) {
+        // Left the guild for good, drop its stored members and roles too
+        guild.members.cache.clear();
+        guild.roles.cache.clear();
+      }
+      for (const [channelId, manager] of this.messageManagers) {
+        if (manager.guildId === data.id) this.messageManagers.delete(channelId);
+      }
       this.voice.adapters.delete(data.id);
       this.emit('guildDelete', guild);
     }
   }
 
+  /**
+   * Handle Guild Members Chunk event (response to a gateway member request)
+   */
+  private handleGuildMembersChunk(data: {
+    guild_id: string;
+    members: APIGuildMember[];
+    chunk_index: number;
+    chunk_count: number;
+    not_found?: Array<string | number>;
+    nonce?: string;
+  }): void {
+    const guild = this.guilds.get(String(data.guild_id));
+    if (!guild) return;
+
+    const members = new Collection<string, GuildMember>();
+    for (const memberData of data.members ?? []) {
+      if (memberData.user) {
+        const user = new User(memberData.user);
+        this.users.set(user.id, user);
+      }
+      const member = guild._addMember(memberData);
+      members.set(member.id, member);
+    }
+
+    this.emit('guildMembersChunk', members, guild, {
+      index: data.chunk_index ?? 0,
+      count: data.chunk_count ?? 1,
+      nonce: data.nonce,
+      notFound: (data.not_found ?? []).map(String),
+    });
+  }
+
   /**
    * Handle Message Create event
    */
@@ -651,7 +1310,7 @@ export class Client extends EventEmitter {
     const message = new Message(this, data);
 
     // Mark message as from bot if author ID matches the bot's own user ID
-    if (this.user && String(message.author.id) === String(this.user.id)) {
+    if (this.user && message.author && String(message.author.id) === String(this.user.id)) {
       (message.author as any).bot = true;
     }
 
@@ -670,7 +1329,7 @@ export class Client extends EventEmitter {
         memberData.user = data.author;
         const resolvedGuild = { id: message.guildId, ownerId: null, members: new Collection(), channels: new Collection() } as any;
         message.member = new (require('./structures/GuildMember').GuildMember)(this, resolvedGuild, memberData);
-      } else if (guild) {
+      } else if (guild && message.author) {
         // No member data from gateway — use cached member (may have voice state from VOICE_STATE_UPDATE)
         const cached = guild.members?.get(String(message.author.id));
         if (cached) {
@@ -679,14 +1338,254 @@ export class Client extends EventEmitter {
       }
     }
 
+    this._getMessageManager(message.channelId, message.guildId)._add(message);
     this.emit('messageCreate', message);
   }
 
+  /**
+   * Handle Message Update event
+   */
+  private handleMessageUpdate(data: APIMessage): void {
+    if (data.user_id && data.author && !data.author.id) {
+      (data.author as any).id = data.user_id;
+    }
+
+    const manager = this._getMessageManager(String(data.channel_id), data.guild_id ? String(data.guild_id) : undefined);
+    const cached = manager.cache.get(String(data.id));
+    if (cached) {
+      const old = cached._clone();
+      cached._patch(data);
+      manager._set(cached);
+      this.emit('messageUpdate', old, cached);
+      return;
+    }
+
+    // Not cached: the previous state is unknown
+    const message = manager._add(data);
+    if (hasPartial(this, Partials.Message)) {
+      this.emit('messageUpdate', this.createPartialMessage(data), message);
+    }
+  }
+
+  /**
+   * Remove a message from its channel cache
+   * Returns the cached message, or a partial one if it wasn't cached
+   */
+  private removeCachedMessage(data: { id: string; channel_id: string; guild_id?: string }): Message | PartialMessage {
+    const manager = this.messageManagers.get(String(data.channel_id));
+    const cached = manager?.cache.get(String(data.id));
+    if (cached) {
+      manager!.cache.delete(cached.id);
+      return cached;
+    }
+    return this.createPartialMessage(data);
+  }
+
+  /**
+   * Cached message a reaction event refers to, or a partial one
+   */
+  private resolveReactionMessage(data: { message_id: string; channel_id: string; guild_id?: string }): Message | PartialMessage {
+    const cached = this.messageManagers.get(String(data.channel_id))?.cache.get(String(data.message_id));
+    return cached ?? this.createPartialMessage({ ...data, id: data.message_id });
+  }
+
+  /**
+   * User a reaction event refers to (cached, from member data, or minimal)
+   */
+  private resolveReactionUser(data: APIReactionEvent): User {
+    const userId = String(data.user_id);
+    if (data.member?.user && data.guild_id) {
+      const guild = this.guilds.get(String(data.guild_id));
+      if (guild) return guild._addMember(data.member).user;
+    }
+    return this.users.get(userId) ?? new User({ id: userId } as APIUser);
+  }
+
+  /**
+   * Handle Message Reaction Add event
+   */
+  private handleReactionAdd(data: APIReactionEvent): void {
+    const message = this.resolveReactionMessage(data);
+    const user = this.resolveReactionUser(data);
+    const me = user.id === this.user?.id;
+
+    let reaction: MessageReaction;
+    if (message.partial) {
+      reaction = new MessageReaction(this, { emoji: data.emoji, count: null, me }, message);
+    } else {
+      const existing = message.reactions.cache.get(MessageReaction.keyOf(data.emoji));
+      reaction = message.reactions._add({
+        emoji: data.emoji,
+        count: (existing?.count ?? 0) + 1,
+        me: me || existing?.me,
+      });
+    }
+    reaction.users._add(user);
+
+    if (this.canEmitReaction(reaction, user)) {
+      this.emit('messageReactionAdd', reaction, user);
+    }
+  }
+
+  /**
+   * Handle Message Reaction Remove event
+   */
+  private handleReactionRemove(data: APIReactionEvent): void {
+    const message = this.resolveReactionMessage(data);
+    const user = this.resolveReactionUser(data);
+    const key = MessageReaction.keyOf(data.emoji);
+
+    let reaction = message.partial ? undefined : message.reactions.cache.get(key);
+    if (reaction) {
+      reaction.count = Math.max((reaction.count ?? 1) - 1, 0);
+      if (user.id === this.user?.id) reaction.me = false;
+      reaction.users.cache.delete(user.id);
+      if (reaction.count === 0) message.reactions.cache.delete(key);
+    } else {
+      reaction = new MessageReaction(this, { emoji: data.emoji, count: null }, message);
+    }
+
+    if (this.canEmitReaction(reaction, user)) {
+      this.emit('messageReactionRemove', reaction, user);
+    }
+  }
+
+  /**
+   * Handle Message Reaction Remove All / Remove Emoji events
+   */
+  private handleReactionClear(eventType: string, data: { message_id: string; channel_id: string; guild_id?: string; emoji?: APIEmoji }): void {
+    const message = this.resolveReactionMessage(data);
+    if (message.partial && !hasPartial(this, Partials.Message)) return;
+
+    if (eventType === 'MESSAGE_REACTION_REMOVE_ALL') {
+      const removed = new Collection<string, MessageReaction>();
+      for (const [key, reaction] of message.reactions.cache) {
+        removed.set(key, reaction);
+      }
+      message.reactions.cache.clear();
+      this.emit('messageReactionRemoveAll', message, removed);
+      return;
+    }
+
+    if (!data.emoji) return;
+    const key = MessageReaction.keyOf(data.emoji);
+    const reaction = message.reactions.cache.get(key)
+      ?? new MessageReaction(this, { emoji: data.emoji, count: null }, message);
+    message.reactions.cache.delete(key);
+    if (this.canEmitReaction(reaction)) {
+      this.emit('messageReactionRemoveEmoji', reaction);
+    }
+  }
+
+  /**
+   * Reactions on uncached messages need the Message partial, unknown reactions the Reaction partial
+   * and uncached users the User partial
+   */
+  private canEmitReaction(reaction: MessageReaction, user?: User): boolean {
+    if (reaction.message.partial && !hasPartial(this, Partials.Message)) return false;
+    if (user?.partial && !hasPartial(this, Partials.User)) return false;
+    return !reaction.partial || hasPartial(this, Partials.Reaction);
+  }
+
+  /**
+   * Message cache of a channel, created on first use
+   * @internal
+   */
+  _getMessageManager(channelId: string, guildId?: string): MessageManager {
+    let manager = this.messageManagers.get(channelId);
+    if (!manager) {
+      manager = new MessageManager(this, channelId, guildId, this.options.messageCacheSize ?? 200);
+      this.messageManagers.set(channelId, manager);
+    }
+    return manager;
+  }
+
+  /**
+   * Load the guilds, channels, users, roles and members kept in the `cacheAdapter`.
+   * Call before login() so the caches start warm; gateway events then patch the restored entries.
+   * @returns Number of entries restored (0 without an adapter)
+   */
+  async restoreCache(): Promise<number> {
+    let restored = 0;
+    if (this.users instanceof PersistentCollection) {
+      restored += await this.users.hydrate(data => new User(data));
+    }
+    if (this.channels instanceof PersistentCollection) {
+      restored += await this.channels.hydrate(data => createChannel(this, data));
+    }
+    if (this.guilds instanceof PersistentCollection) {
+      restored += await this.guilds.hydrate(data => new Guild(this, data));
+      for (const guild of this.guilds.values()) {
+        restored += await guild.roles.restore();
+        restored += await guild.members.restore();
+      }
+    }
+    this.emit('debug', `Restored ${restored} cached entries from the cache adapter`);
+    return restored;
+  }
+
+  /**
+   * Report a failed cache adapter write
+   * @internal
+   */
+  _cacheError(error: Error, namespace: string): void {
+    this.emit('debug', `Cache adapter write to ${namespace} failed: ${error.message}`);
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+  }
+
+  /**
+   * Every per-channel message cache (used by the sweepers)
+   * @internal
+   */
+  _messageManagers(): IterableIterator<MessageManager> {
+    return this.messageManagers.values();
+  }
+
+  /**
+   * Build a message from a payload that may only carry IDs (delete events)
+   */
+  private createPartialMessage(data: { id: string; channel_id: string; guild_id?: string }): PartialMessage {
+    const message = new Message(this, {
+      id: String(data.id),
+      channel_id: String(data.channel_id),
+      guild_id: data.guild_id,
+      content: null,
+    } as APIMessage);
+    return message as PartialMessage;
+  }
+
+  /**
+   * Handle Typing Start event
+   */
+  private handleTypingStart(data: {
+    channel_id: string;
+    guild_id?: string;
+    user_id: string;
+    timestamp?: number;
+    member?: APIGuildMember;
+  }): void {
+    const userId = String(data.user_id ?? data.member?.user?.id);
+    const guild = data.guild_id ? this.guilds.get(String(data.guild_id)) : undefined;
+    const member = data.member?.user && guild
+      ? guild._addMember(data.member)
+      : guild?.members.get(userId);
+    const user = member?.user ?? this.users.get(userId) ?? new User({ id: userId } as APIUser);
+    if (user.partial && !hasPartial(this, Partials.User)) return;
+
+    this.emit('typingStart', new Typing(this, {
+      channelId: String(data.channel_id),
+      guildId: data.guild_id ? String(data.guild_id) : undefined,
+      user,
+      member,
+      timestamp: data.timestamp,
+    }));
+  }
+
   /**
    * Handle Interaction Create event
    */
   private handleInteractionCreate(data: APIInteraction): void {
-    console.log('[DEBUG] handleInteractionCreate called with:', JSON.stringify(data, null, 2));
+    this.logger.debug(`Interaction ${data.id} received (type ${data.type})`, { body: data });
     
     // Cache the user
     const userData = data.member?.user || data.user;
@@ -697,7 +1596,7 @@ export class Client extends EventEmitter {
     }
     
     const interaction = createInteraction(this, data);
-    console.log('[DEBUG] Created interaction type:', interaction.constructor.name, 'customId:', (interaction as any).customId);
+    this.logger.debug(`Created ${interaction.constructor.name} ${interaction.id}`);
     this.emit('interactionCreate', interaction);
   }
 
@@ -707,6 +1606,7 @@ export class Client extends EventEmitter {
   private handleVoiceStateUpdate(data: any): void {
     const guildId = data.guild_id;
     const userId = data.user_id;
+    let oldState: VoiceState | null = null;
     
     // Update member voice state in cache
     if (guildId && userId) {
@@ -725,6 +1625,13 @@ export class Client extends EventEmitter {
         }
         
         if (member) {
+          oldState = new VoiceState(this, {
+            guild_id: String(guildId),
+            user_id: userIdStr,
+            channel_id: member.voice.channelId,
+            self_mute: member.voice.selfMute,
+            self_deaf: member.voice.selfDeaf,
+          });
           member.voice = {
             channelId: data.channel_id ?? undefined,
             selfMute: data.self_mute ?? false,
@@ -740,7 +1647,13 @@ export class Client extends EventEmitter {
       handler(data);
     }
     
-    this.emit('voiceStateUpdate', data);
+    if (guildId && userId) {
+      const newState = new VoiceState(this, data);
+      const voiceStates = this.guilds.get(newState.guildId)?.voiceStates;
+      if (newState.channelId) voiceStates?.set(newState.userId, newState);
+      else voiceStates?.delete(newState.userId);
+      this.emit('voiceStateUpdate', oldState ?? new VoiceState(this, { guild_id: data.guild_id, user_id: data.user_id }), newState);
+    }
   }
 
   /**
@@ -774,36 +1687,213 @@ export class Client extends EventEmitter {
         shard: this.options.shards || [0, 1]
       }
     };
+
+    if (this.hasPresence()) {
+      payload.d.presence = this.buildPresencePayload();
+    }
     
-    this.send(payload);
+    this.sendQueue.sendNow(payload);
+  }
+
+  /**
+   * Send a Request Guild Members payload (used by GuildMemberManager)
+   * Queued until the gateway session is ready
+   * @internal
+   */
+  _requestGuildMembers(data: {
+    guild_id: string;
+    query?: string;
+    limit: number;
+    user_ids?: string[];
+    presences?: boolean;
+    nonce?: string;
+  }): void {
+    this.send({ op: GatewayOpcodes.RequestGuildMembers, d: data });
+  }
+
+  /**
+   * Current presence (used by ClientUser)
+   * @internal
+   */
+  _getPresence(): PresenceData {
+    return { ...this.presence };
+  }
+
+  /**
+   * Merge and send a presence update (used by ClientUser)
+   * Updates are throttled; when the limit is hit only the latest presence is sent once the window frees up
+   * @internal
+   */
+  _updatePresence(data: PresenceData): PresenceData {
+    this.presence = {
+      ...this.presence,
+      ...data,
+      activities: data.activities ?? this.presence.activities,
+    };
+    this.flushPresence();
+    return this._getPresence();
+  }
+
+  /**
+   * Whether a presence has been configured
+   */
+  private hasPresence(): boolean {
+    return this.presence.status !== undefined
+      || this.presence.activities !== undefined
+      || this.presence.afk !== undefined;
+  }
+
+  /**
+   * Build the gateway presence payload
+   */
+  private buildPresencePayload(): any {
+    const status = this.presence.status ?? PresenceStatus.Online;
+    return {
+      since: this.presence.since ?? null,
+      activities: (this.presence.activities ?? []).map(activity => ({
+        name: activity.name,
+        type: activity.type ?? ActivityType.Playing,
+        ...(activity.url ? { url: activity.url } : {}),
+        ...(activity.state ? { state: activity.state } : {}),
+      })),
+      // The gateway has no "offline" status for bots, invisible is the equivalent
+      status: status === PresenceStatus.Offline ? PresenceStatus.Invisible : status,
+      afk: this.presence.afk ?? false,
+    };
+  }
+
+  /**
+   * Send the current presence, respecting the presence rate limit
+   */
+  private flushPresence(): void {
+    // Already scheduled: the latest presence is sent when the timer fires
+    if (this._presenceTimeout) return;
+    // Not connected: Identify/RESUMED re-applies the presence
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+
+    const { count, window } = Client.PRESENCE_RATE_LIMIT;
+    const now = Date.now();
+    this._presenceUpdates = this._presenceUpdates.filter(t => now - t < window);
+
+    if (this._presenceUpdates.length >= count) {
+      const wait = window - (now - this._presenceUpdates[0]);
+      this.emit('debug', `Presence update rate limited, sending latest presence in ${wait}ms`);
+      this._presenceTimeout = setTimeout(() => {
+        this._presenceTimeout = null;
+        this.flushPresence();
+      }, wait);
+      return;
+    }
+
+    this._presenceUpdates.push(now);
+    this.send({
+      op: GatewayOpcodes.PresenceUpdate,
+      d: this.buildPresencePayload()
+    });
+  }
+
+  /**
+   * Whether there is a session that can be resumed
+   */
+  private canResume(): boolean {
+    return this.sessionId !== null && this.sequence !== null;
+  }
+
+  /**
+   * Send Resume payload
+   */
+  private resume(): void {
+    if (!this.canResume()) {
+      this.identify();
+      return;
+    }
+
+    this.emit('debug', `Resuming session ${this.sessionId} at sequence ${this.sequence}`);
+    this._resuming = true;
+    this._replayedEvents = 0;
+    this.sendQueue.sendNow({
+      op: GatewayOpcodes.Resume,
+      d: {
+        token: `Bot ${this.token}`,
+        session_id: this.sessionId,
+        seq: this.sequence
+      }
+    });
+  }
+
+  /**
+   * Forget the current session so the next connection identifies from scratch
+   */
+  private resetSession(): void {
+    this.sessionId = null;
+    this.sequence = null;
+    this.resumeGatewayUrl = null;
+    this._resuming = false;
+    this._replayedEvents = 0;
+  }
+
+  /**
+   * Clear a pending InvalidSession timer
+   */
+  private clearSessionTimeout(): void {
+    if (this._sessionTimeout) {
+      clearTimeout(this._sessionTimeout);
+      this._sessionTimeout = null;
+    }
   }
 
   /**
    * Start heartbeat
    */
   private startHeartbeat(interval: number): void {
-    this.heartbeatInterval = setInterval(() => {
-      this._lastHeartbeatSent = Date.now();
-      this.send({
-        op: GatewayOpcodes.Heartbeat,
-        d: this.sequence
-      });
-    }, interval);
+    this.stopHeartbeat();
+    this._lastHeartbeatAcked = true;
+
+    // Random jitter before the first beat so reconnecting clients don't heartbeat in lockstep
+    const jitter = Math.floor(interval * Math.random());
+    this.heartbeatTimeout = setTimeout(() => {
+      this.heartbeatTimeout = null;
+      this.heartbeat();
+      this.heartbeatInterval = setInterval(() => this.heartbeat(), interval);
+    }, jitter);
   }
 
   /**
-   * Send payload to gateway
+   * Scheduled heartbeat tick: detect zombie connections before sending
    */
-  private send(payload: GatewayPayload): void {
-    if (this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(payload));
+  private heartbeat(): void {
+    if (!this._lastHeartbeatAcked) {
+      // The previous heartbeat was never acknowledged, the connection is likely dead.
+      // terminate() closes with 1006 so the session stays resumable and the
+      // close handler reconnects
+      this.emit('debug', 'Heartbeat ACK not received, terminating zombie connection');
+      this.stopHeartbeat();
+      this.ws?.terminate();
+      return;
     }
+    this.sendHeartbeat();
   }
 
   /**
-   * Cleanup on disconnect
+   * Send a heartbeat with the last sequence number
    */
-  private cleanup(): void {
+  private sendHeartbeat(): void {
+    this._lastHeartbeatAcked = false;
+    this._lastHeartbeatSent = Date.now();
+    this.sendQueue.sendNow({
+      op: GatewayOpcodes.Heartbeat,
+      d: this.sequence
+    });
+  }
+
+  /**
+   * Stop heartbeat timers
+   */
+  private stopHeartbeat(): void {
+    if (this.heartbeatTimeout) {
+      clearTimeout(this.heartbeatTimeout);
+      this.heartbeatTimeout = null;
+    }
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
@@ -811,14 +1901,63 @@ export class Client extends EventEmitter {
   }
 
   /**
-   * Destroy the client
+   * Send payload to gateway
+   * Goes through the send queue so the gateway rate limit is respected
    */
-  destroy(): void {
+  private send(payload: GatewayPayload): void {
+    this.sendQueue.enqueue(payload);
+  }
+
+  /**
+   * Write a payload to the socket
+   * Returns false if the socket is not open
+   */
+  private transmit(payload: GatewayPayload): boolean {
+    if (this.ws?.readyState !== WebSocket.OPEN) return false;
+    this.ws.send(JSON.stringify(payload));
+    return true;
+  }
+
+  /**
+   * Cleanup on disconnect
+   */
+  private cleanup(): void {
+    this.stopHeartbeat();
+    this.clearSessionTimeout();
+    this.sendQueue.close();
+    this.inflater?.destroy();
+    this.inflater = null;
+  }
+
+  /**
+   * Close the connection and abandon pending reconnects
+   */
+  private disconnect(): void {
     this._loginState = 'idle';
-    this._reconnectAttempts = this._maxReconnectAttempts + 1; // Prevent reconnect
+    this._destroyed = true; // Prevent reconnect
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
+    }
     this.cleanup();
+    this.resetSession();
     this.ws?.close(1000);
     this.ws = null;
+  }
+
+  /**
+   * Destroy the client
+   */
+  destroy(): void {
+    this._rejectLogin?.(this.createError(ErrorCodes.ClientDestroyed));
+    this.disconnect();
+    if (this._presenceTimeout) {
+      clearTimeout(this._presenceTimeout);
+      this._presenceTimeout = null;
+    }
+    this.sweepers?.stop();
+    this.plugins._handleDestroy();
+    this.sendQueue.clear();
     this.removeAllListeners();
   }
 }
@@ -209,3 +209,54 @@ export enum OverwriteType {
   Role = 0,
   Member = 1,
 }
+
+/**
+ * Client event names
+ */
+export const Events = {
+  ClientReady: 'ready',
+  Resumed: 'resumed',
+  Error: 'error',
+  Debug: 'debug',
+  Warn: 'warn',
+  UnhandledListenerError: 'unhandledListenerError',
+  RateLimited: 'rateLimited',
+  RestRetry: 'restRetry',
+  UploadProgress: 'uploadProgress',
+  CacheSweep: 'cacheSweep',
+  Raw: 'raw',
+  GatewayClose: 'gatewayClose',
+  ShardResume: 'shardResume',
+  ShardDisconnect: 'shardDisconnect',
+  ShardReconnecting: 'shardReconnecting',
+  GuildCreate: 'guildCreate',
+  GuildUpdate: 'guildUpdate',
+  GuildDelete: 'guildDelete',
+  GuildMembersChunk: 'guildMembersChunk',
+  GuildMemberAdd: 'guildMemberAdd',
+  GuildMemberUpdate: 'guildMemberUpdate',
+  GuildMemberRemove: 'guildMemberRemove',
+  GuildBanAdd: 'guildBanAdd',
+  GuildBanRemove: 'guildBanRemove',
+  MessageCreate: 'messageCreate',
+  MessageUpdate: 'messageUpdate',
+  MessageDelete: 'messageDelete',
+  MessageDeleteBulk: 'messageDeleteBulk',
+  MessageReactionAdd: 'messageReactionAdd',
+  MessageReactionRemove: 'messageReactionRemove',
+  MessageReactionRemoveAll: 'messageReactionRemoveAll',
+  MessageReactionRemoveEmoji: 'messageReactionRemoveEmoji',
+  ChannelCreate: 'channelCreate',
+  ChannelUpdate: 'channelUpdate',
+  ChannelDelete: 'channelDelete',
+  GuildRoleCreate: 'roleCreate',
+  GuildRoleUpdate: 'roleUpdate',
+  GuildRoleDelete: 'roleDelete',
+  InviteCreate: 'inviteCreate',
+  InviteDelete: 'inviteDelete',
+  TypingStart: 'typingStart',
+  PresenceUpdate: 'presenceUpdate',
+  InteractionCreate: 'interactionCreate',
+  VoiceStateUpdate: 'voiceStateUpdate',
+  VoiceServerUpdate: 'voiceServerUpdate',
+} as const;
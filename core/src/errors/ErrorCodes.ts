@@ -0,0 +1,45 @@
+/**
+ * Stable, machine-readable codes of the errors thrown by the library.
+ * Match on `error.code` instead of the message, messages can change and are localized.
+ */
+export enum ErrorCodes {
+  // Client
+  TokenMissing = 'TokenMissing',
+  GatewayIntentMissing = 'GatewayIntentMissing',
+  GatewayMessageContentMissing = 'GatewayMessageContentMissing',
+  ClientDestroyed = 'ClientDestroyed',
+
+  // Gateway
+  TokenInvalid = 'TokenInvalid',
+  GatewayInvalidShard = 'GatewayInvalidShard',
+  GatewayShardingRequired = 'GatewayShardingRequired',
+  GatewayDisallowedIntents = 'GatewayDisallowedIntents',
+  GatewayConnectionRejected = 'GatewayConnectionRejected',
+  GatewayReadyTimeout = 'GatewayReadyTimeout',
+  GatewayReconnectFailed = 'GatewayReconnectFailed',
+
+  // REST
+  APIRequestFailed = 'APIRequestFailed',
+  APIRequestTimeout = 'APIRequestTimeout',
+  ApplicationIdMissing = 'ApplicationIdMissing',
+  MessageGuildIdRequired = 'MessageGuildIdRequired',
+  MessageInvalidArguments = 'MessageInvalidArguments',
+  EmojiInvalid = 'EmojiInvalid',
+  AttachmentInvalid = 'AttachmentInvalid',
+  AttachmentFetchFailed = 'AttachmentFetchFailed',
+  AttachmentStreamReused = 'AttachmentStreamReused',
+
+  // Members
+  GuildMemberNotFound = 'GuildMemberNotFound',
+  GuildMembersTimeout = 'GuildMembersTimeout',
+
+  // Interactions
+  InteractionAlreadyReplied = 'InteractionAlreadyReplied',
+  InteractionOptionNotFound = 'InteractionOptionNotFound',
+  InteractionSubcommandNotFound = 'InteractionSubcommandNotFound',
+
+  // Plugins
+  PluginNameMissing = 'PluginNameMissing',
+  PluginListenerInvalid = 'PluginListenerInvalid',
+  PluginAlreadyRegistered = 'PluginAlreadyRegistered',
+}
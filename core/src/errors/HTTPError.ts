@@ -0,0 +1,129 @@
+/**
+ * HTTPError - Errors of REST requests answered with a non-2xx status
+ */
+
+import { ErrorCodes } from './ErrorCodes';
+import { JubbioError, JubbioErrorOptions } from './JubbioError';
+
+/**
+ * What was sent with the failed request, tokens redacted
+ */
+export interface APIRequestBody {
+  /** JSON body, or the non-file fields of a multipart body */
+  json?: unknown;
+  /** Files of a multipart body (their contents aren't kept) */
+  files?: Array<{ name: string; contentType?: string; size?: number }>;
+}
+
+/**
+ * A failed request
+ */
+export interface HTTPErrorData {
+  /** HTTP status of the response */
+  status: number;
+  /** HTTP method */
+  method: string;
+  /** Request URL, interaction and webhook tokens redacted */
+  url: string;
+  /** Response body: the parsed JSON, or the text when it isn't JSON */
+  rawError: unknown;
+  /** What was sent */
+  requestBody: APIRequestBody;
+}
+
+/**
+ * A validation error of one field of the request body
+ */
+export interface APIFieldError {
+  /** Path of the field, e.g. `embeds.0.title` */
+  path: string;
+  /** Error code, if the API sent one */
+  code?: string;
+  message: string;
+}
+
+/**
+ * A request answered with a non-2xx status whose body isn't an API error (e.g. a proxy's error page).
+ * `code` is `ErrorCodes.APIRequestFailed`.
+ */
+export class HTTPError extends JubbioError {
+  public readonly status: number;
+  public readonly method: string;
+  public readonly url: string;
+  public readonly rawError: unknown;
+  public readonly requestBody: APIRequestBody;
+
+  constructor(data: HTTPErrorData, options: JubbioErrorOptions = {}, detail: string = String(data.rawError ?? '')) {
+    super(ErrorCodes.APIRequestFailed, [data.status, detail], options);
+    this.status = data.status;
+    this.method = data.method;
+    this.url = data.url;
+    this.rawError = data.rawError;
+    this.requestBody = data.requestBody;
+  }
+}
+
+/**
+ * An error returned by the API. `code` is `ErrorCodes.APIRequestFailed` like every other
+ * failed request; the API's own code is `apiCode`.
+ *
+ * @example
+ * try {
+ *   await member.kick();
+ * } catch (error) {
+ *   if (error instanceof JubbioAPIError && error.status === 403) {
+ *     await interaction.reply(`Can't kick: ${error.apiMessage}`);
+ *   }
+ * }
+ */
+export class JubbioAPIError extends HTTPError {
+  /** Error code sent by the API, undefined when it didn't send one */
+  public readonly apiCode: number | string | undefined;
+  /** Error message sent by the API */
+  public readonly apiMessage: string | undefined;
+  /** Validation errors of the request body, by field */
+  public readonly fieldErrors: APIFieldError[];
+
+  constructor(data: HTTPErrorData & { rawError: Record<string, any> }, options: JubbioErrorOptions = {}) {
+    const body = data.rawError;
+    const apiMessage = typeof body.message === 'string' ? body.message
+      : typeof body.error === 'string' ? body.error
+      : undefined;
+    const fieldErrors = flattenFieldErrors(body.errors);
+    const detail = [
+      apiMessage ?? JSON.stringify(body),
+      ...fieldErrors.map(field => `${field.path || 'body'}: ${field.message}`),
+    ].join('\n');
+
+    super(data, options, detail);
+    const apiCode: unknown = body.code;
+    this.apiCode = typeof apiCode === 'number' || (typeof apiCode === 'string' && apiCode !== '') ? apiCode : undefined;
+    this.apiMessage = apiMessage;
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Flatten the `errors` of an API error: nested objects with `_errors` arrays,
+ * arrays of `{ field, message }` or `{ field: [messages] }` maps
+ */
+function flattenFieldErrors(errors: unknown, path: string = ''): APIFieldError[] {
+  if (errors == null) return [];
+  if (typeof errors === 'string') return [{ path, message: errors }];
+
+  if (Array.isArray(errors)) {
+    return errors.flatMap(item => {
+      if (item && typeof item === 'object' && typeof item.message === 'string') {
+        return [{ path: item.field ?? item.path ?? path, code: item.code, message: item.message }];
+      }
+      return flattenFieldErrors(item, path);
+    });
+  }
+
+  if (typeof errors === 'object') {
+    return Object.entries(errors as Record<string, unknown>).flatMap(([key, value]) =>
+      flattenFieldErrors(value, key === '_errors' ? path : path ? `${path}.${key}` : key)
+    );
+  }
+  return [];
+}
@@ -0,0 +1,68 @@
+/**
+ * JubbioError - Base class of the errors thrown by the library
+ */
+
+import { ErrorCodes } from './ErrorCodes';
+import { ErrorLocale, formatErrorMessage } from './Messages';
+
+/**
+ * Options shared by the library errors
+ */
+export interface JubbioErrorOptions {
+  /** Language of the message (default 'en') */
+  locale?: ErrorLocale;
+  /** Underlying error */
+  cause?: unknown;
+}
+
+/**
+ * An error with a stable `code`.
+ *
+ * @example
+ * try {
+ *   await interaction.reply('Pong!');
+ * } catch (error) {
+ *   if (error instanceof JubbioError && error.code === ErrorCodes.InteractionAlreadyReplied) {
+ *     await interaction.followUp('Pong!');
+ *   }
+ * }
+ */
+export class JubbioError extends Error {
+  /** Machine-readable error code */
+  public readonly code: ErrorCodes;
+
+  constructor(code: ErrorCodes, args: unknown[] = [], options: JubbioErrorOptions = {}) {
+    super(formatErrorMessage(code, args, options.locale), { cause: options.cause });
+    this.code = code;
+  }
+
+  get name(): string {
+    return `${this.constructor.name} [${this.code}]`;
+  }
+}
+
+/**
+ * An error caused by the gateway closing or rejecting the connection
+ */
+export class JubbioGatewayError extends JubbioError {
+  /** Gateway close code */
+  public readonly closeCode: number;
+
+  /** Close reason sent by the gateway */
+  public readonly reason: string;
+
+  /**
+   * @param args - Message arguments after the close code and reason
+   */
+  constructor(
+    code: ErrorCodes,
+    closeCode: number,
+    reason: string = '',
+    options: JubbioErrorOptions = {},
+    args: unknown[] = []
+  ) {
+    super(code, [closeCode, reason, ...args], options);
+    this.closeCode = closeCode;
+    this.reason = reason;
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Localized messages of the library errors
+ */
+
+import { ErrorCodes } from './ErrorCodes';
+
+/**
+ * Languages error messages are available in
+ */
+export type ErrorLocale = 'en' | 'tr';
+
+type MessageBuilder = (...args: any[]) => string;
+
+const withReason = (reason?: string) => (reason ? ` - ${reason}` : '');
+
+/**
+ * Message builders of every error code, per locale
+ */
+export const ErrorMessages: Record<ErrorLocale, Record<ErrorCodes, MessageBuilder>> = {
+  en: {
+    [ErrorCodes.TokenMissing]: () =>
+      'A valid bot token must be provided. Example: client.login(process.env.BOT_TOKEN)',
+    [ErrorCodes.GatewayIntentMissing]: (event: string, intents: string) =>
+      `"${event}" listener added without ${intents}; the gateway won't send these events, add the intent to ClientOptions.intents`,
+    [ErrorCodes.GatewayMessageContentMissing]: (event: string) =>
+      `"${event}" listener added without the privileged GatewayIntentBits.MessageContent intent; ` +
+      'message.content is empty for guild messages that neither mention the bot nor were sent by it (message.contentOmitted is true)',
+    [ErrorCodes.ClientDestroyed]: () =>
+      'The client was destroyed before it became ready',
+
+    [ErrorCodes.TokenInvalid]: (closeCode: number, reason?: string) =>
+      `Gateway rejected the connection [${closeCode}]: invalid bot token${withReason(reason)}`,
+    [ErrorCodes.GatewayInvalidShard]: (closeCode: number, reason?: string) =>
+      `Gateway rejected the connection [${closeCode}]: invalid shard configuration${withReason(reason)}`,
+    [ErrorCodes.GatewayShardingRequired]: (closeCode: number, reason?: string) =>
+      `Gateway rejected the connection [${closeCode}]: sharding is required${withReason(reason)}`,
+    [ErrorCodes.GatewayDisallowedIntents]: (closeCode: number, reason?: string) =>
+      `Gateway rejected the connection [${closeCode}]: disallowed intents requested, ` +
+      `enable them for the bot or remove them from ClientOptions.intents${withReason(reason)}`,
+    [ErrorCodes.GatewayConnectionRejected]: (closeCode: number, reason?: string) =>
+      `Gateway rejected the connection [${closeCode}]${withReason(reason)}`,
+    [ErrorCodes.GatewayReadyTimeout]: (seconds: number) =>
+      `Couldn't connect to the gateway: no READY event within ${seconds} seconds. ` +
+      'Possible causes: the gateway is unreachable, the token is invalid or a network issue.',
+    [ErrorCodes.GatewayReconnectFailed]: (closeCode: number, _reason: string, attempts: number) =>
+      `Couldn't reconnect to the gateway after ${attempts} attempts. Last close code: ${closeCode}`,
+
+    [ErrorCodes.APIRequestFailed]: (status: number, body: string) =>
+      `API Error ${status}: ${body}`,
+    [ErrorCodes.APIRequestTimeout]: (method: string, path: string, timeout: number) =>
+      `${method} ${path} timed out after ${timeout}ms`,
+    [ErrorCodes.ApplicationIdMissing]: () =>
+      'Application ID not set. Call setApplicationId() first.',
+    [ErrorCodes.MessageGuildIdRequired]: () =>
+      'createMessage requires guildId: createMessage(guildId, channelId, data)',
+    [ErrorCodes.MessageInvalidArguments]: () =>
+      'Invalid createMessage arguments',
+    [ErrorCodes.EmojiInvalid]: (emoji: string) =>
+      `Invalid emoji format: "${emoji}". Accepted formats: :emoji_name:, <:name:id>, <a:name:id>`,
+    [ErrorCodes.AttachmentInvalid]: (index: number) =>
+      `File ${index + 1} isn't a Buffer, path, URL, stream or { attachment } object`,
+    [ErrorCodes.AttachmentFetchFailed]: (url: string, status: number) =>
+      `Couldn't download the file ${url}: HTTP ${status}`,
+    [ErrorCodes.AttachmentStreamReused]: (name: string) =>
+      `File "${name}" is a stream that was already read, so the request can't be sent again. ` +
+      'Pass a Buffer or a path to allow retries.',
+
+    [ErrorCodes.GuildMemberNotFound]: (userId: string, guildId: string) =>
+      `Member ${userId} not found in guild ${guildId}`,
+    [ErrorCodes.GuildMembersTimeout]: (guildId: string, time: number) =>
+      `Guild members for ${guildId} didn't arrive within ${time}ms`,
+
+    [ErrorCodes.InteractionAlreadyReplied]: () =>
+      'Interaction has already been replied to or deferred',
+    [ErrorCodes.InteractionOptionNotFound]: (name: string) =>
+      `Required option "${name}" not found`,
+    [ErrorCodes.InteractionSubcommandNotFound]: () =>
+      'Required subcommand not found',
+
+    [ErrorCodes.PluginNameMissing]: () =>
+      'A plugin must have a non-empty name',
+    [ErrorCodes.PluginListenerInvalid]: (name: string, event: string) =>
+      `The "${event}" listener of plugin "${name}" must be a function`,
+    [ErrorCodes.PluginAlreadyRegistered]: (name: string) =>
+      `A plugin named "${name}" is already registered`,
+  },
+  tr: {
+    [ErrorCodes.TokenMissing]: () =>
+      'Geçerli bir bot token\'ı sağlanmalıdır. Örnek: client.login(process.env.BOT_TOKEN)',
+    [ErrorCodes.GatewayIntentMissing]: (event: string, intents: string) =>
+      `"${event}" dinleyicisi ${intents} olmadan eklendi; gateway bu event'leri göndermez, intent'i ClientOptions.intents'e ekleyin`,
+    [ErrorCodes.GatewayMessageContentMissing]: (event: string) =>
+      `"${event}" dinleyicisi ayrıcalıklı GatewayIntentBits.MessageContent intent'i olmadan eklendi; ` +
+      'botu etiketlemeyen ve bot tarafından gönderilmeyen sunucu mesajlarında message.content boştur (message.contentOmitted true olur)',
+    [ErrorCodes.ClientDestroyed]: () =>
+      'Client hazır olmadan önce kapatıldı',
+
+    [ErrorCodes.TokenInvalid]: (closeCode: number, reason?: string) =>
+      `Gateway bağlantısı reddedildi [${closeCode}]: geçersiz bot token'ı${withReason(reason)}`,
+    [ErrorCodes.GatewayInvalidShard]: (closeCode: number, reason?: string) =>
+      `Gateway bağlantısı reddedildi [${closeCode}]: geçersiz shard yapılandırması${withReason(reason)}`,
+    [ErrorCodes.GatewayShardingRequired]: (closeCode: number, reason?: string) =>
+      `Gateway bağlantısı reddedildi [${closeCode}]: sharding gerekli${withReason(reason)}`,
+    [ErrorCodes.GatewayDisallowedIntents]: (closeCode: number, reason?: string) =>
+      `Gateway bağlantısı reddedildi [${closeCode}]: izin verilmeyen intent'ler istendi, ` +
+      `bot için etkinleştirin veya ClientOptions.intents'ten çıkarın${withReason(reason)}`,
+    [ErrorCodes.GatewayConnectionRejected]: (closeCode: number, reason?: string) =>
+      `Gateway bağlantısı reddedildi [${closeCode}]${withReason(reason)}`,
+    [ErrorCodes.GatewayReadyTimeout]: (seconds: number) =>
+      `Gateway'e bağlanılamadı: ${seconds} saniye içinde READY event'i alınamadı. ` +
+      'Olası sebepler: gateway sunucusu erişilemez, token geçersiz veya ağ sorunu.',
+    [ErrorCodes.GatewayReconnectFailed]: (closeCode: number, _reason: string, attempts: number) =>
+      `Gateway bağlantısı ${attempts} denemeden sonra kurulamadı. Son kapanma kodu: ${closeCode}`,
+
+    [ErrorCodes.APIRequestFailed]: (status: number, body: string) =>
+      `API hatası ${status}: ${body}`,
+    [ErrorCodes.APIRequestTimeout]: (method: string, path: string, timeout: number) =>
+      `${method} ${path} isteği ${timeout}ms içinde yanıtlanmadı`,
+    [ErrorCodes.ApplicationIdMissing]: () =>
+      'Application ID ayarlanmadı. Önce setApplicationId() çağırın.',
+    [ErrorCodes.MessageGuildIdRequired]: () =>
+      'createMessage guildId gerektirir: createMessage(guildId, channelId, data)',
+    [ErrorCodes.MessageInvalidArguments]: () =>
+      'Geçersiz createMessage argümanları',
+    [ErrorCodes.EmojiInvalid]: (emoji: string) =>
+      `Geçersiz emoji formatı: "${emoji}". Kabul edilen formatlar: :emoji_name:, <:name:id>, <a:name:id>`,
+    [ErrorCodes.AttachmentInvalid]: (index: number) =>
+      `${index + 1}. dosya bir Buffer, dosya yolu, URL, stream veya { attachment } nesnesi değil`,
+    [ErrorCodes.AttachmentFetchFailed]: (url: string, status: number) =>
+      `${url} dosyası indirilemedi: HTTP ${status}`,
+    [ErrorCodes.AttachmentStreamReused]: (name: string) =>
+      `"${name}" dosyası daha önce okunmuş bir stream olduğu için istek tekrar gönderilemiyor. ` +
+      'Tekrar denenebilmesi için Buffer veya dosya yolu verin.',
+
+    [ErrorCodes.GuildMemberNotFound]: (userId: string, guildId: string) =>
+      `${userId} üyesi ${guildId} sunucusunda bulunamadı`,
+    [ErrorCodes.GuildMembersTimeout]: (guildId: string, time: number) =>
+      `${guildId} sunucusunun üyeleri ${time}ms içinde gelmedi`,
+
+    [ErrorCodes.InteractionAlreadyReplied]: () =>
+      'Interaction zaten yanıtlandı veya ertelendi',
+    [ErrorCodes.InteractionOptionNotFound]: (name: string) =>
+      `Gerekli "${name}" seçeneği bulunamadı`,
+    [ErrorCodes.InteractionSubcommandNotFound]: () =>
+      'Gerekli alt komut bulunamadı',
+
+    [ErrorCodes.PluginNameMissing]: () =>
+      'Bir eklentinin boş olmayan bir adı olmalıdır',
+    [ErrorCodes.PluginListenerInvalid]: (name: string, event: string) =>
+      `"${name}" eklentisinin "${event}" dinleyicisi bir fonksiyon olmalıdır`,
+    [ErrorCodes.PluginAlreadyRegistered]: (name: string) =>
+      `"${name}" adında bir eklenti zaten kayıtlı`,
+  },
+};
+
+/**
+ * Build the message of an error code, falling back to English for unknown locales
+ */
+export function formatErrorMessage(code: ErrorCodes, args: unknown[] = [], locale: ErrorLocale = 'en'): string {
+  const messages = ErrorMessages[locale] ?? ErrorMessages.en;
+  return messages[code](...args);
+}
@@ -0,0 +1,8 @@
+/**
+ * Error exports
+ */
+
+export * from './ErrorCodes';
+export * from './Messages';
+export * from './JubbioError';
+export * from './HTTPError';
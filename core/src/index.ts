@@ -7,18 +7,55 @@ export { Client, GatewayIntentBits } from './Client';
 export * from './types';
 export * from './enums';
 
+// Errors
+export {
+  JubbioError,
+  JubbioGatewayError,
+  HTTPError,
+  JubbioAPIError,
+  ErrorCodes,
+  ErrorMessages,
+  type JubbioErrorOptions,
+  type HTTPErrorData,
+  type APIRequestBody,
+  type APIFieldError,
+  type ErrorLocale,
+} from './errors';
+
 // REST
-export { REST, type MentionsData, type MentionUser, type MentionRole } from './rest/REST';
+export { REST, type RESTOptions, type RESTEvents, type RESTRetryOptions, type RESTRetryData, type RequestOptions, type UploadProgressData, type MentionsData, type MentionUser, type MentionRole } from './rest/REST';
+export { RateLimitManager, type RateLimitData, type RateLimitManagerOptions } from './rest/RateLimitManager';
+export { type AttachmentSource, type AttachmentData, type FileResolvable } from './rest/Attachments';
 
 // Structures
 export { Collection } from './structures/Collection';
 export { User } from './structures/User';
+export { ClientUser } from './structures/ClientUser';
 export { Guild } from './structures/Guild';
 export { GuildMember, Permissions, PermissionFlags } from './structures/GuildMember';
+export { Role } from './structures/Role';
+export { GuildBan } from './structures/GuildBan';
+export { Invite } from './structures/Invite';
+export { Typing } from './structures/Typing';
+export { Presence } from './structures/Presence';
+export { VoiceState } from './structures/VoiceState';
+export { MessageReaction } from './structures/MessageReaction';
+export { Partials } from './utils/Partials';
 
 // Managers
-export { ApplicationCommandManager } from './managers/ApplicationCommandManager';
-export { Message, type MessageMentions } from './structures/Message';
+export { ApplicationCommandManager, type ApplicationCommandData } from './managers/ApplicationCommandManager';
+export { PluginManager, type Plugin, type PluginListeners } from './managers/PluginManager';
+export { MessageManager } from './managers/MessageManager';
+export { RoleManager, type RoleEditOptions } from './managers/RoleManager';
+export { ReactionManager } from './managers/ReactionManager';
+export { ReactionUserManager } from './managers/ReactionUserManager';
+export { GuildBanManager } from './managers/GuildBanManager';
+export { 
+  GuildMemberManager,
+  type FetchMembersOptions,
+  type GuildMembersChunk,
+} from './managers/GuildMemberManager';
+export { Message, type MessageMentions, type PartialMessage } from './structures/Message';
 export { 
   Interaction, 
   CommandInteraction, 
@@ -143,6 +180,53 @@ export {
   type PermissionResolvable 
 } from './utils/PermissionsBitField';
 
+// Utils - Cache factories
+export {
+  LimitedCollection,
+  cacheWithLimits,
+  type LimitedCollectionOptions,
+  type CacheFactory,
+  type CacheManagerType,
+} from './utils/LimitedCollection';
+
+// Utils - Cache adapters
+export {
+  MemoryCacheAdapter,
+  FileCacheAdapter,
+  type CacheAdapter,
+  type FileCacheAdapterOptions,
+} from './utils/CacheAdapter';
+export { PersistentCollection, type PersistentCollectionOptions } from './utils/PersistentCollection';
+export { Paginator, type Page, type PaginatorOptions } from './utils/Paginator';
+export {
+  CacheSerializers,
+  serializeGuild,
+  serializeGuildMember,
+  serializeUser,
+  serializeChannel,
+  serializeRole,
+} from './utils/CacheSerializers';
+
+// Utils - Logging
+export {
+  ConsoleLogger,
+  RedactingLogger,
+  REDACTED,
+  redactTokens,
+  type Logger,
+  type LogLevel,
+  type LogRedactionOptions,
+} from './utils/Logger';
+
+// Utils - Cache sweepers
+export {
+  SweeperManager,
+  Sweepers,
+  DefaultSweeperOptions,
+  type SweeperOptions,
+  type SweeperDefinitions,
+} from './utils/Sweepers';
+
 // Sharding
 export {
   ShardingManager,
@@ -5,7 +5,7 @@ import type { APIApplicationCommand } from '../types';
 /**
  * Command data input — accepts plain objects or builders with toJSON()
  */
-type ApplicationCommandData = APIApplicationCommand | { toJSON(): APIApplicationCommand };
+export type ApplicationCommandData = APIApplicationCommand | { toJSON(): APIApplicationCommand };
 
 /**
  * Resolves command data to a plain API object
@@ -3,6 +3,18 @@
  */
 
 import { Collection } from '../utils/Collection';
+import { PersistentCollection, createCache } from '../utils/PersistentCollection';
+import type { CacheManagerType } from '../utils/LimitedCollection';
+
+/**
+ * Cache options of a manager
+ */
+export interface BaseManagerOptions<K, V> {
+  /** Manager type passed to the client's `makeCache` */
+  cacheType?: CacheManagerType;
+  /** Store used when `makeCache` doesn't return one */
+  defaultCache?: Collection<K, V>;
+}
 
 /**
  * Base manager for caching structures
@@ -17,10 +29,24 @@ export abstract class BaseManager<K extends string, V, R = V> {
   /** The class to instantiate for items */
   protected readonly holds: new (...args: any[]) => V;
 
-  constructor(client: any, holds: new (...args: any[]) => V, iterable?: Iterable<R>) {
+  /**
+   * @param storeNamespace - Namespace in the client's cache adapter; managers without one stay in memory
+   * @param options.cacheType - Manager type passed to the client's `makeCache`, the class name when not set
+   *   (class names don't survive minification, so the built-in managers always pass it)
+   * @param options.defaultCache - Store used when `makeCache` doesn't return one (default Collection)
+   */
+  constructor(
+    client: any,
+    holds: new (...args: any[]) => V,
+    iterable?: Iterable<R>,
+    storeNamespace?: string,
+    options?: BaseManagerOptions<K, V>
+  ) {
     this.client = client;
     this.holds = holds;
-    this.cache = new Collection<K, V>();
+    // The cacheAdapter / makeCache client options decide the store
+    const cacheType = options?.cacheType ?? (new.target.name as CacheManagerType);
+    this.cache = createCache(client, cacheType, storeNamespace, options?.defaultCache);
     
     if (iterable) {
       for (const item of iterable) {
@@ -61,6 +87,36 @@ export abstract class BaseManager<K extends string, V, R = V> {
   valueOf(): V[] {
     return [...this.cache.values()];
   }
+
+  /**
+   * Copy of the manager with its own in-memory copy of the cache, used to keep the previous
+   * state for update events
+   * @internal
+   */
+  _clone(): this {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, { cache: new Collection(this.cache) });
+  }
+
+  /**
+   * Load the entries kept in the client's cache adapter into the cache
+   * @returns Number of entries restored (0 without an adapter)
+   */
+  async restore(): Promise<number> {
+    if (!(this.cache instanceof PersistentCollection)) return 0;
+    return this.cache.hydrate(data => this._add(data, false));
+  }
+
+  /**
+   * Load a single entry from the client's cache adapter
+   */
+  protected async fetchStored(id: K): Promise<V | null> {
+    if (!(this.cache instanceof PersistentCollection)) return null;
+    const data = await this.cache.fetchStored(id);
+    if (data === undefined) return null;
+    const value = this._add(data, false);
+    this.cache._setLocal(id, value);
+    return value;
+  }
 }
 
 /**
@@ -26,7 +26,7 @@ export class GuildChannelManager extends CachedManager<string, any> {
   public readonly guild: any;
 
   constructor(guild: any, iterable?: Iterable<any>) {
-    super(guild.client, Object as any, iterable);
+    super(guild.client, Object as any, iterable, undefined, { cacheType: 'GuildChannelManager' });
     this.guild = guild;
   }
 
@@ -197,7 +197,7 @@ export class GuildChannelManager extends CachedManager<string, any> {
  */
 export class ChannelManager extends CachedManager<string, any> {
   constructor(client: any, iterable?: Iterable<any>) {
-    super(client, Object as any, iterable);
+    super(client, Object as any, iterable, undefined, { cacheType: 'ChannelManager' });
   }
 
   _add(data: any, cache = true): any {
@@ -0,0 +1,100 @@
+/**
+ * Manager for the bans of a guild
+ */
+
+import { CachedManager } from './BaseManager';
+import { Paginator } from '../utils/Paginator';
+import { SnowflakeUtil } from '../utils/SnowflakeUtil';
+import { GuildBan } from '../structures/GuildBan';
+import type { Guild } from '../structures/Guild';
+import type { APIUser } from '../types';
+
+/**
+ * Ban data returned by the API
+ */
+interface APIBan {
+  user: APIUser;
+  reason?: string | null;
+}
+
+/**
+ * Manages the bans of a guild, cached by user ID as they are fetched
+ */
+export class GuildBanManager extends CachedManager<string, GuildBan> {
+  /** The guild this manager belongs to */
+  public readonly guild: Guild;
+
+  constructor(guild: Guild) {
+    super(guild.client, GuildBan, undefined, undefined, { cacheType: 'GuildBanManager' });
+    this.guild = guild;
+  }
+
+  /**
+   * Add a ban to the cache
+   */
+  _add(data: APIBan, cache = true): GuildBan {
+    const ban = new GuildBan(this.client, { guild_id: this.guild.id, ...data });
+    if (cache) this.cache.set(ban.user.id, ban);
+    return ban;
+  }
+
+  /**
+   * Fetch the ban of a user (cache first)
+   */
+  async fetch(userId: string, options?: { cache?: boolean; force?: boolean }): Promise<GuildBan> {
+    if (!options?.force) {
+      const existing = this.cache.get(userId);
+      if (existing) return existing;
+    }
+
+    const data = await this.client.rest.getBan(this.guild.id, userId);
+    return this._add(data, options?.cache ?? true);
+  }
+
+  /**
+   * Iterate over the bans of the guild by ascending user ID, starting after `after`
+   *
+   * @example
+   * for await (const ban of guild.bans.iterate()) {
+   *   console.log(`${ban.user.username}: ${ban.reason ?? 'no reason'}`);
+   * }
+   */
+  iterate(options: { limit?: number; after?: string; cache?: boolean } = {}): Paginator<string, GuildBan> {
+    return new Paginator<string, GuildBan>({
+      pageSize: 1000,
+      limit: options.limit,
+      cursor: options.after,
+      key: ban => ban.user.id,
+      fetchPage: async (cursor, limit) => {
+        const data: APIBan[] = await this.client.rest.getBans(this.guild.id, { limit, after: cursor });
+        const sorted = [...(data ?? [])].sort((a, b) => SnowflakeUtil.compare(String(a.user.id), String(b.user.id)));
+        // Skip bans at or before the cursor, in case the API returns them again
+        const inRange = cursor === undefined
+          ? sorted
+          : sorted.filter(ban => SnowflakeUtil.compare(String(ban.user.id), cursor) > 0);
+
+        return {
+          items: inRange.map(ban => this._add(ban, options.cache ?? true)),
+          next: sorted.length < limit || sorted.length === 0 ? null : String(sorted[sorted.length - 1].user.id),
+        };
+      },
+    });
+  }
+
+  /**
+   * Ban a user
+   */
+  async create(userId: string, options?: { deleteMessageDays?: number; deleteMessageSeconds?: number; reason?: string }): Promise<void> {
+    await this.guild.members.ban(userId, options);
+  }
+
+  /**
+   * Unban a user
+   */
+  async remove(userId: string, reason?: string): Promise<void> {
+    await this.client.rest.unbanMember(this.guild.id, userId, reason);
+    this.cache.delete(userId);
+  }
+}
+
+export default GuildBanManager;
@@ -3,117 +3,263 @@
  */
 
 import { CachedManager } from './BaseManager';
+import { ErrorCodes, JubbioError } from '../errors';
 import { Collection } from '../utils/Collection';
-import { Permissions } from '../structures/GuildMember';
+import { Paginator } from '../utils/Paginator';
+import { GuildMember } from '../structures/GuildMember';
+import type { Guild } from '../structures/Guild';
+import type { APIGuildMember } from '../types';
+
+/**
+ * Options for requesting members over the gateway
+ */
+export interface FetchMembersOptions {
+  /** Only fetch these users */
+  userIds?: string | string[];
+  /** @deprecated Use `userIds` */
+  user?: string | string[];
+  /** Only fetch members whose username starts with this string ('' for all) */
+  query?: string;
+  /** Maximum number of members to return, 0 for no limit (default 0) */
+  limit?: number;
+  /** Also request presences (requires GuildPresences intent) */
+  presences?: boolean;
+  /** Nonce used to match the GUILD_MEMBERS_CHUNK responses (max 32 chars) */
+  nonce?: string;
+  /** How long to wait for the next chunk in ms before rejecting (default 120000) */
+  time?: number;
+}
+
+/**
+ * Chunk metadata passed with the guildMembersChunk event
+ */
+export interface GuildMembersChunk {
+  /** Chunk index (0-based) */
+  index: number;
+  /** Total number of chunks for this request */
+  count: number;
+  /** Nonce from the request */
+  nonce?: string;
+  /** User IDs that were requested but not found */
+  notFound: string[];
+}
+
+/**
+ * Methods of the member cache available on the manager itself
+ */
+const COLLECTION_SHORTCUTS = [
+  'ensure', 'every', 'some', 'filter', 'partition', 'map', 'mapValues', 'find', 'findKey', 'sweep',
+  'reduce', 'each', 'first', 'firstKey', 'last', 'lastKey', 'random', 'randomKey', 'concat', 'equals',
+  'clone', 'sort', 'sortByKey', 'toArray', 'toJSON',
+] as const;
 
 /**
  * Manages guild members
+ *
+ * `guild.members` used to be the member Collection, so the manager keeps its surface: Map methods
+ * (`get`, `set`, `has`, `delete`, `clear`, `size`, iteration) and Collection methods (`filter`, `find`,
+ * `map`, `first`, ...) read and write the cache directly, like `guild.members.cache.filter(...)`.
  */
-export class GuildMemberManager extends CachedManager<string, any> {
+export class GuildMemberManager extends CachedManager<string, GuildMember> {
   /** The guild this manager belongs to */
-  public readonly guild: any;
+  public readonly guild: Guild;
 
-  constructor(guild: any, iterable?: Iterable<any>) {
-    // Use a simple object as placeholder since we don't have GuildMember class yet
-    super(guild.client, Object as any, iterable);
+  constructor(guild: Guild, iterable?: Iterable<APIGuildMember>) {
+    super(guild.client, GuildMember, undefined, `members:${guild.id}`, { cacheType: 'GuildMemberManager' });
     this.guild = guild;
+
+    if (iterable) {
+      for (const item of iterable) this._add(item);
+    }
   }
 
   /**
    * Add a member to the cache
+   * Preserves voice state from the existing cached member if new data doesn't include it
    */
-  _add(data: any, cache = true): any {
-    const id = data.user?.id ?? data.id;
-    const existing = this.cache.get(id);
-    
-    if (existing) {
-      if (cache) {
-        Object.assign(existing, data);
+  _add(data: APIGuildMember, cache = true): GuildMember {
+    const member = new GuildMember(this.client, this.guild, data);
+
+    if (!data.voice?.channel_id) {
+      const existing = this.cache.get(member.id);
+      if (existing?.voice?.channelId) {
+        member.voice = { ...existing.voice };
       }
-      return existing;
-    }
-    
-    const member = {
-      id,
-      guildId: this.guild.id,
-      user: data.user,
-      nick: data.nick,
-      roles: data.roles ?? [],
-      joinedAt: data.joined_at ? new Date(data.joined_at) : null,
-      premiumSince: data.premium_since ? new Date(data.premium_since) : null,
-      deaf: data.deaf ?? false,
-      mute: data.mute ?? false,
-      pending: data.pending ?? false,
-      permissions: new Permissions(data.permissions || '0', this.guild.ownerId === id),
-      communicationDisabledUntil: data.communication_disabled_until 
-        ? new Date(data.communication_disabled_until) 
-        : null,
-      
-      // Helper methods
-      get displayName() {
-        return this.nick ?? this.user?.display_name ?? this.user?.username ?? 'Unknown';
-      },
-      
-      toString() {
-        return `<@${this.id}>`;
-      },
-    };
-    
-    if (cache) {
-      this.cache.set(id, member);
     }
-    
+
+    if (cache) this.cache.set(member.id, member);
     return member;
   }
 
   /**
-   * Fetch a member from the API
+   * Fetch members over REST
+   * - `fetch(id)` fetches a single member (cache first)
+   * - `fetch(options)` / `fetch()` fetches a list of members, see fetchMany()
+   *
+   * @example
+   * const member = await guild.members.fetch('123');
+   * const members = await guild.members.fetch({ limit: 100 });
+   */
+  async fetch(id: string, options?: { cache?: boolean; force?: boolean }): Promise<GuildMember>;
+  async fetch(options?: { limit?: number; after?: string; query?: string }): Promise<Collection<string, GuildMember>>;
+  async fetch(
+    idOrOptions?: string | { limit?: number; after?: string; query?: string },
+    options?: { cache?: boolean; force?: boolean }
+  ): Promise<any> {
+    if (typeof idOrOptions === 'string') {
+      return this.fetchSingle(idOrOptions, options);
+    }
+    return this.fetchMany(idOrOptions);
+  }
+
+  /**
+   * Fetch a single member over REST
    */
-  async fetch(id: string, options?: { cache?: boolean; force?: boolean }): Promise<any> {
+  private async fetchSingle(id: string, options?: { cache?: boolean; force?: boolean }): Promise<GuildMember> {
     if (!options?.force) {
-      const existing = this.cache.get(id);
+      const existing = this.cache.get(id) ?? await this.fetchStored(id);
       if (existing) return existing;
     }
-    
-    const data = await this.client.rest.request(
-      'GET',
-      `/guilds/${this.guild.id}/members/${id}`
-    );
-    
+
+    const data = await this.client.rest.getMember(this.guild.id, id);
+    if (!data) {
+      throw new JubbioError(ErrorCodes.GuildMemberNotFound, [id, this.guild.id], { locale: this.client.options.locale });
+    }
     return this._add(data, options?.cache ?? true);
   }
 
   /**
-   * Fetch multiple members
+   * Fetch multiple members over REST
    */
-  async fetchMany(options?: { 
-    limit?: number; 
+  async fetchMany(options?: {
+    limit?: number;
     after?: string;
     query?: string;
-  }): Promise<Collection<string, any>> {
+  }): Promise<Collection<string, GuildMember>> {
     const params = new URLSearchParams();
     if (options?.limit) params.set('limit', String(options.limit));
     if (options?.after) params.set('after', options.after);
     if (options?.query) params.set('query', options.query);
-    
-    const data = await this.client.rest.request(
+
+    const data: APIGuildMember[] = await this.client.rest.request(
       'GET',
       `/guilds/${this.guild.id}/members?${params}`
     );
-    
-    const members = new Collection<string, any>();
+
+    const members = new Collection<string, GuildMember>();
     for (const memberData of data) {
       const member = this._add(memberData);
       members.set(member.id, member);
     }
-    
+
     return members;
   }
 
   /**
-   * Search for members by query
+   * Request members over the gateway (op 8) and collect every GUILD_MEMBERS_CHUNK response.
+   * Needs the GuildMembers intent; waits for the gateway to be ready.
+   *
+   * @example
+   * const everyone = await guild.members.requestMembers();
+   * const matches = await guild.members.requestMembers({ query: 'ali', limit: 10 });
    */
-  async search(options: { query: string; limit?: number }): Promise<Collection<string, any>> {
+  requestMembers(options: FetchMembersOptions = {}): Promise<Collection<string, GuildMember>> {
+    const users = options.userIds ?? options.user;
+    const userIds = users === undefined
+      ? undefined
+      : (Array.isArray(users) ? users : [users]);
+    const nonce = options.nonce ?? `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    const time = options.time ?? 120_000;
+
+    if (nonce.length > 32) {
+      return Promise.reject(new RangeError('Member request nonce must be 32 characters or fewer'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const fetched = new Collection<string, GuildMember>();
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        this.client.removeListener('guildMembersChunk', handler);
+      };
+
+      const handler = (members: Collection<string, GuildMember>, guild: Guild, chunk: GuildMembersChunk) => {
+        if (guild.id !== this.guild.id || chunk.nonce !== nonce) return;
+        timeout.refresh();
+
+        for (const [memberId, member] of members) {
+          fetched.set(memberId, member);
+        }
+
+        if (chunk.index + 1 >= chunk.count) {
+          cleanup();
+          resolve(fetched);
+        }
+      };
+
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new JubbioError(ErrorCodes.GuildMembersTimeout, [this.guild.id, time], { locale: this.client.options.locale }));
+      }, time);
+
+      this.client.on('guildMembersChunk', handler);
+
+      // Queued until the gateway is ready; the timeout covers outages
+      this.client._requestGuildMembers({
+        guild_id: this.guild.id,
+        query: userIds ? undefined : (options.query ?? ''),
+        limit: options.limit ?? 0,
+        user_ids: userIds,
+        presences: options.presences ?? false,
+        nonce,
+      });
+    });
+  }
+
+  /**
+   * Fetch one page of members over REST
+   */
+  async fetchPage(options?: { limit?: number; cursor?: string }): Promise<any> {
+    const data = await this.client.rest.getMembers(this.guild.id, options);
+
+    if (data?.members) {
+      for (const memberData of data.members) {
+        this._add(memberData);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Iterate over every member of the guild over REST, page by page (members are cached)
+   *
+   * @example
+   * for await (const member of guild.members.iterate()) {
+   *   if (member.user.bot) await guild.members.addRole(member.id, botRoleId);
+   * }
+   */
+  iterate(options: { limit?: number; cursor?: string; cache?: boolean } = {}): Paginator<string, GuildMember> {
+    return new Paginator<string, GuildMember>({
+      pageSize: 50,
+      limit: options.limit,
+      cursor: options.cursor,
+      key: member => member.id,
+      fetchPage: async (cursor, limit) => {
+        const data = await this.client.rest.getMembers(this.guild.id, { limit, cursor });
+        const members: APIGuildMember[] = data?.members ?? [];
+        return {
+          items: members.map(memberData => this._add(memberData, options.cache ?? true)),
+          next: data?.next_cursor ?? null,
+        };
+      },
+    });
+  }
+
+  /**
+   * Search for members by query over REST
+   */
+  async search(options: { query: string; limit?: number }): Promise<Collection<string, GuildMember>> {
     return this.fetchMany({ query: options.query, limit: options.limit ?? 10 });
   }
 
@@ -121,26 +267,15 @@ export class GuildMemberManager extends CachedManager<string, any> {
    * Kick a member
    */
   async kick(id: string, reason?: string): Promise<void> {
-    await this.client.rest.request(
-      'DELETE',
-      `/guilds/${this.guild.id}/members/${id}`,
-      reason ? { reason } : undefined
-    );
+    await this.client.rest.kickMember(this.guild.id, id, reason);
     this.cache.delete(id);
   }
 
   /**
    * Ban a member
    */
-  async ban(id: string, options?: { deleteMessageDays?: number; reason?: string }): Promise<void> {
-    await this.client.rest.request(
-      'PUT',
-      `/guilds/${this.guild.id}/bans/${id}`,
-      {
-        delete_message_days: options?.deleteMessageDays,
-        reason: options?.reason,
-      }
-    );
+  async ban(id: string, options?: { deleteMessageDays?: number; deleteMessageSeconds?: number; reason?: string }): Promise<void> {
+    await this.client.rest.banMember(this.guild.id, id, options);
     this.cache.delete(id);
   }
 
@@ -148,11 +283,7 @@ export class GuildMemberManager extends CachedManager<string, any> {
    * Unban a user
    */
   async unban(id: string, reason?: string): Promise<void> {
-    await this.client.rest.request(
-      'DELETE',
-      `/guilds/${this.guild.id}/bans/${id}`,
-      reason ? { reason } : undefined
-    );
+    await this.client.rest.unbanMember(this.guild.id, id, reason);
   }
 
   /**
@@ -165,23 +296,20 @@ export class GuildMemberManager extends CachedManager<string, any> {
     deaf?: boolean;
     channel_id?: string | null;
     communication_disabled_until?: Date | null;
-  }): Promise<any> {
+    reason?: string;
+  }): Promise<GuildMember> {
     const body: any = {};
     if (data.nick !== undefined) body.nick = data.nick;
     if (data.roles !== undefined) body.roles = data.roles;
     if (data.mute !== undefined) body.mute = data.mute;
     if (data.deaf !== undefined) body.deaf = data.deaf;
     if (data.channel_id !== undefined) body.channel_id = data.channel_id;
+    if (data.reason !== undefined) body.reason = data.reason;
     if (data.communication_disabled_until !== undefined) {
       body.communication_disabled_until = data.communication_disabled_until?.toISOString() ?? null;
     }
-    
-    const result = await this.client.rest.request(
-      'PATCH',
-      `/guilds/${this.guild.id}/members/${id}`,
-      body
-    );
-    
+
+    const result = await this.client.rest.editMember(this.guild.id, id, body);
     return this._add(result);
   }
 
@@ -189,23 +317,76 @@ export class GuildMemberManager extends CachedManager<string, any> {
    * Add a role to a member
    */
   async addRole(memberId: string, roleId: string, reason?: string): Promise<void> {
-    await this.client.rest.request(
-      'PUT',
-      `/guilds/${this.guild.id}/members/${memberId}/roles/${roleId}`,
-      reason ? { reason } : undefined
-    );
+    await this.client.rest.addMemberRole(this.guild.id, memberId, roleId, reason);
   }
 
   /**
    * Remove a role from a member
    */
   async removeRole(memberId: string, roleId: string, reason?: string): Promise<void> {
-    await this.client.rest.request(
-      'DELETE',
-      `/guilds/${this.guild.id}/members/${memberId}/roles/${roleId}`,
-      reason ? { reason } : undefined
-    );
+    await this.client.rest.removeMemberRole(this.guild.id, memberId, roleId, reason);
   }
+
+  // ==================== Map-style cache shortcuts ====================
+
+  get(id: string): GuildMember | undefined {
+    return this.cache.get(id);
+  }
+
+  set(id: string, member: GuildMember): this {
+    this.cache.set(id, member);
+    return this;
+  }
+
+  has(id: string): boolean {
+    return this.cache.has(id);
+  }
+
+  delete(id: string): boolean {
+    return this.cache.delete(id);
+  }
+
+  clear(): void {
+    this.cache.clear();
+  }
+
+  get size(): number {
+    return this.cache.size;
+  }
+
+  keys(): IterableIterator<string> {
+    return this.cache.keys();
+  }
+
+  values(): IterableIterator<GuildMember> {
+    return this.cache.values();
+  }
+
+  entries(): IterableIterator<[string, GuildMember]> {
+    return this.cache.entries();
+  }
+
+  forEach(fn: (member: GuildMember, id: string) => void): void {
+    this.cache.forEach((member, id) => fn(member, id));
+  }
+
+  [Symbol.iterator](): IterableIterator<[string, GuildMember]> {
+    return this.cache.entries();
+  }
+}
+
+export interface GuildMemberManager extends Pick<Collection<string, GuildMember>, typeof COLLECTION_SHORTCUTS[number]> {}
+
+for (const name of COLLECTION_SHORTCUTS) {
+  Object.defineProperty(GuildMemberManager.prototype, name, {
+    value(this: GuildMemberManager, ...args: any[]) {
+      const result = (this.cache[name] as (...args: any[]) => unknown).apply(this.cache, args);
+      // Chainable methods (sort, each) return the manager rather than its cache
+      return result === this.cache ? this : result;
+    },
+    writable: true,
+    configurable: true,
+  });
 }
 
 export default GuildMemberManager;
@@ -0,0 +1,135 @@
+/**
+ * Manager for messages of a single channel with an LRU cache
+ */
+
+import { CachedManager } from './BaseManager';
+import { Collection } from '../utils/Collection';
+import { LimitedCollection } from '../utils/LimitedCollection';
+import { Paginator } from '../utils/Paginator';
+import { SnowflakeUtil } from '../utils/SnowflakeUtil';
+import { Message } from '../structures/Message';
+import type { APIMessage } from '../types';
+
+/**
+ * Manages messages of a channel
+ *
+ * The cache keeps the most recently created or accessed messages, up to
+ * `maxSize` (the `messageCacheSize` client option, or the limit of the cache
+ * `makeCache` returns). The least recently used message is evicted first.
+ */
+export class MessageManager extends CachedManager<string, Message> {
+  /** ID of the channel this manager belongs to */
+  public readonly channelId: string;
+
+  /** ID of the guild the channel belongs to */
+  public readonly guildId?: string;
+
+  /** Maximum number of cached messages (0 disables caching) */
+  public readonly maxSize: number;
+
+  constructor(client: any, channelId: string, guildId?: string, maxSize = 200) {
+    super(client, Message, undefined, undefined, {
+      cacheType: 'MessageManager',
+      defaultCache: new LimitedCollection({ maxSize: Math.max(maxSize, 0) }),
+    });
+    this.channelId = channelId;
+    this.guildId = guildId;
+    this.maxSize = this.cache instanceof LimitedCollection ? this.cache.maxSize : Infinity;
+  }
+
+  /**
+   * Add a message to the cache
+   * Accepts raw data or an already built Message
+   */
+  _add(data: APIMessage | Message, cache = true): Message {
+    const message = data instanceof Message ? data : new Message(this.client, data);
+    if (cache && !message.partial) this._set(message);
+    return message;
+  }
+
+  /**
+   * Store a message as the most recently used entry; a full LimitedCollection evicts the oldest one
+   * @internal
+   */
+  _set(message: Message): void {
+    if (this.maxSize <= 0) return;
+    this.cache.delete(message.id);
+    this.cache.set(message.id, message);
+  }
+
+  /**
+   * Get a cached message and mark it as recently used
+   */
+  get(id: string): Message | undefined {
+    const message = this.cache.get(id);
+    if (message) this._set(message);
+    return message;
+  }
+
+  /**
+   * Fetch a message (cache first)
+   */
+  async fetch(id: string, options?: { cache?: boolean; force?: boolean }): Promise<Message> {
+    if (!options?.force) {
+      const existing = this.get(id);
+      if (existing) return existing;
+    }
+
+    const data = await this.client.rest.getMessage(this.guildId || '', this.channelId, id);
+    return this._add(data, options?.cache ?? true);
+  }
+
+  /**
+   * Fetch the latest messages of the channel
+   */
+  async fetchMany(options?: { limit?: number; before?: string; after?: string; cache?: boolean }): Promise<Collection<string, Message>> {
+    const data: APIMessage[] = await this.client.rest.getMessages(this.guildId || '', this.channelId, options);
+    const messages = new Collection<string, Message>();
+    for (const messageData of data) {
+      const message = this._add(messageData, options?.cache ?? true);
+      messages.set(message.id, message);
+    }
+    return messages;
+  }
+
+  /**
+   * Iterate over the messages of the channel, newest first: all of them, or those before `before`.
+   * With only `after`, the messages after it are iterated oldest first.
+   *
+   * @example
+   * for await (const message of channel.messages.iterate({ before: messageId, limit: 1000 })) {
+   *   if (message.author.id === userId) break;
+   * }
+   */
+  iterate(options: { before?: string; after?: string; limit?: number; cache?: boolean } = {}): Paginator<string, Message> {
+    const forward = options.after !== undefined && options.before === undefined;
+
+    return new Paginator<string, Message>({
+      pageSize: 100,
+      limit: options.limit,
+      cursor: forward ? options.after : options.before,
+      key: message => message.id,
+      fetchPage: async (cursor, limit) => {
+        const data: APIMessage[] = await this.client.rest.getMessages(this.guildId || '', this.channelId, {
+          limit,
+          ...(forward ? { after: cursor } : { before: cursor }),
+        });
+
+        // Sorted away from the cursor, in case the API returns a page in another order
+        const sorted = [...data].sort((a, b) => forward ? SnowflakeUtil.compare(a.id, b.id) : SnowflakeUtil.compare(b.id, a.id));
+        const inRange = sorted.filter(message =>
+          (cursor === undefined || (forward ? SnowflakeUtil.compare(message.id, cursor) > 0 : SnowflakeUtil.compare(message.id, cursor) < 0))
+          && (forward || options.after === undefined || SnowflakeUtil.compare(message.id, options.after) > 0)
+        );
+
+        return {
+          items: inRange.map(messageData => this._add(messageData, options.cache ?? true)),
+          // Going back from `before` stops once `after` is reached
+          next: data.length < limit || inRange.length < sorted.length ? null : sorted[sorted.length - 1].id,
+        };
+      },
+    });
+  }
+}
+
+export default MessageManager;
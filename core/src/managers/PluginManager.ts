@@ -0,0 +1,265 @@
+/**
+ * Manager for plugins: reusable bundles of intents, commands, listeners and hooks
+ */
+
+import { Collection } from '../utils/Collection';
+import { ApplicationCommandManager, ApplicationCommandData } from './ApplicationCommandManager';
+import { ErrorCodes, JubbioError } from '../errors';
+import type { Client } from '../Client';
+import type { APIApplicationCommand, ClientEvents } from '../types';
+import type { GatewayIntentBits } from '../enums';
+
+/**
+ * Listeners of a plugin, keyed by event name
+ */
+export type PluginListeners = {
+  [K in keyof ClientEvents]?: (...args: ClientEvents[K]) => unknown;
+};
+
+/**
+ * A reusable bot feature
+ *
+ * @example
+ * const welcome: Plugin = {
+ *   name: 'welcome',
+ *   intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers],
+ *   commands: [new SlashCommandBuilder().setName('welcome').setDescription('Test the welcome message')],
+ *   listeners: {
+ *     guildMemberAdd: (member) => console.log(`${member.user.username} joined ${member.guild.name}`),
+ *   },
+ *   onReady: (client) => console.log(`welcome plugin ready on ${client.guilds.size} guilds`),
+ * };
+ *
+ * client.plugins.register(welcome);
+ */
+export interface Plugin {
+  /** Unique name, used to unregister the plugin */
+  name: string;
+  /** Intents the plugin needs, merged with ClientOptions.intents before identifying */
+  intents?: GatewayIntentBits[] | number;
+  /** Slash commands created when the client is ready (plain objects or builders) */
+  commands?: ApplicationCommandData[];
+  /** Create the commands in this guild instead of globally */
+  guildId?: string;
+  /** Event listeners added to the client */
+  listeners?: PluginListeners;
+  /** Called once the client is ready (right away when registered after ready) */
+  onReady?(client: Client): unknown | Promise<unknown>;
+  /** Called when the plugin is unregistered or the client is destroyed */
+  onDestroy?(client: Client): unknown | Promise<unknown>;
+}
+
+/**
+ * Bookkeeping of a registered plugin
+ */
+interface LoadedPlugin {
+  plugin: Plugin;
+  intents: number;
+  listeners: Array<[keyof ClientEvents, (...args: any[]) => unknown]>;
+  /** Commands created for the plugin, removed on unregister */
+  commands: Array<{ manager: ApplicationCommandManager; command: APIApplicationCommand }>;
+  /** Pending command creation, awaited before removing them */
+  commandsCreated: Promise<void> | null;
+  ready: boolean;
+}
+
+/**
+ * Registers plugins on a client and unloads them again.
+ *
+ * Intents of registered plugins are part of the next identify; a plugin registered after
+ * login whose intents aren't in the current session gets those events after a reconnect.
+ */
+export class PluginManager {
+  public readonly client: Client;
+
+  private readonly loaded: Collection<string, LoadedPlugin> = new Collection();
+
+  /** Set once the client is ready, plugins registered later start right away */
+  private clientReady: boolean = false;
+
+  constructor(client: Client) {
+    this.client = client;
+  }
+
+  /**
+   * Names of the registered plugins
+   */
+  get names(): string[] {
+    return [...this.loaded.keys()];
+  }
+
+  /**
+   * Intents requested by all registered plugins
+   */
+  get intents(): number {
+    let bits = 0;
+    for (const entry of this.loaded.values()) bits |= entry.intents;
+    return bits;
+  }
+
+  /**
+   * Whether a plugin is registered
+   */
+  has(name: string): boolean {
+    return this.loaded.has(name);
+  }
+
+  /**
+   * Get a registered plugin
+   */
+  get(name: string): Plugin | undefined {
+    return this.loaded.get(name)?.plugin;
+  }
+
+  /**
+   * Register a plugin: merge its intents, add its listeners, and create its commands and
+   * call onReady once the client is ready.
+   */
+  register(plugin: Plugin): this {
+    const locale = this.client.options.locale;
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new JubbioError(ErrorCodes.PluginNameMissing, [], { locale });
+    }
+    if (this.loaded.has(plugin.name)) {
+      throw new JubbioError(ErrorCodes.PluginAlreadyRegistered, [plugin.name], { locale });
+    }
+    const listeners = Object.entries(plugin.listeners ?? {}) as Array<[keyof ClientEvents, any]>;
+    for (const [event, listener] of listeners) {
+      if (typeof listener !== 'function') {
+        throw new JubbioError(ErrorCodes.PluginListenerInvalid, [plugin.name, event], { locale });
+      }
+    }
+
+    const entry: LoadedPlugin = {
+      plugin,
+      intents: typeof plugin.intents === 'number'
+        ? plugin.intents
+        : (plugin.intents ?? []).reduce((acc, intent) => acc | intent, 0),
+      listeners,
+      commands: [],
+      commandsCreated: null,
+      ready: false,
+    };
+
+    // Intents first, so the listeners below are checked against them
+    this.loaded.set(plugin.name, entry);
+    const added: typeof listeners = [];
+    try {
+      for (const [event, listener] of entry.listeners) {
+        this.client.on(event, listener);
+        added.push([event, listener]);
+      }
+    } catch (error) {
+      // A listener failed the intent check (strictIntents): leave nothing of the plugin behind
+      for (const [event, listener] of added) this.client.off(event, listener);
+      this.loaded.delete(plugin.name);
+      throw error;
+    }
+    this.client.emit('debug', `Plugin "${plugin.name}" registered`);
+
+    if (this.clientReady) this.start(entry);
+    return this;
+  }
+
+  /**
+   * Unregister a plugin: remove its listeners and commands, then call onDestroy.
+   * Its intents stay in the current session until the next identify.
+   * @returns Whether the plugin was registered
+   */
+  async unregister(name: string): Promise<boolean> {
+    const entry = this.loaded.get(name);
+    if (!entry) return false;
+    this.loaded.delete(name);
+
+    for (const [event, listener] of entry.listeners) {
+      this.client.off(event, listener);
+    }
+
+    await entry.commandsCreated;
+    for (const { manager, command } of entry.commands) {
+      const id = (command as any).id ?? manager.cache.find(cached => cached.name === command.name)?.id;
+      if (!id) continue;
+      try {
+        await manager.delete(id);
+      } catch (error) {
+        this.report(entry.plugin, `deleting command "${command.name}"`, error);
+      }
+    }
+
+    await this.callHook(entry.plugin, 'onDestroy');
+    this.client.emit('debug', `Plugin "${name}" unregistered`);
+    return true;
+  }
+
+  /**
+   * Start the plugins once the client is ready
+   * @internal
+   */
+  _handleReady(): void {
+    this.clientReady = true;
+    for (const entry of this.loaded.values()) this.start(entry);
+  }
+
+  /**
+   * Unload every plugin when the client is destroyed: call onDestroy and forget them.
+   * The client removes the listeners itself; commands are kept, they outlive the process.
+   * @internal
+   */
+  _handleDestroy(): void {
+    this.clientReady = false;
+    const entries = [...this.loaded.values()];
+    this.loaded.clear();
+    for (const entry of entries) {
+      void this.callHook(entry.plugin, 'onDestroy');
+    }
+  }
+
+  /**
+   * Create the commands of a plugin (once) and call its onReady hook
+   */
+  private start(entry: LoadedPlugin): void {
+    if (entry.ready) return;
+    entry.ready = true;
+
+    if (entry.plugin.commands?.length && !entry.commandsCreated) {
+      entry.commandsCreated = this.createCommands(entry);
+    }
+    void this.callHook(entry.plugin, 'onReady');
+  }
+
+  private async createCommands(entry: LoadedPlugin): Promise<void> {
+    const { plugin } = entry;
+    const manager = plugin.guildId
+      ? this.client.guilds.get(plugin.guildId)?.commands ?? new ApplicationCommandManager(this.client.rest, plugin.guildId)
+      : this.client.application?.commands;
+    if (!manager) return;
+
+    for (const data of plugin.commands ?? []) {
+      try {
+        const command = await manager.create(data);
+        entry.commands.push({ manager, command });
+      } catch (error) {
+        this.report(plugin, 'creating a command', error);
+      }
+    }
+  }
+
+  private async callHook(plugin: Plugin, hook: 'onReady' | 'onDestroy'): Promise<void> {
+    try {
+      await plugin[hook]?.(this.client);
+    } catch (error) {
+      this.report(plugin, hook, error);
+    }
+  }
+
+  /**
+   * Report a plugin failure without letting it affect the client or other plugins
+   */
+  private report(plugin: Plugin, action: string, error: unknown): void {
+    const message = error instanceof Error ? error.message : String(error);
+    this.client.emit('debug', `Plugin "${plugin.name}" failed while ${action}: ${message}`);
+    if (this.client.listenerCount('error') > 0) {
+      this.client.emit('error', error instanceof Error ? error : new Error(message));
+    }
+  }
+}
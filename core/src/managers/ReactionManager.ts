@@ -0,0 +1,44 @@
+/**
+ * Manager for the reactions of a message
+ */
+
+import { BaseManager } from './BaseManager';
+import { MessageReaction } from '../structures/MessageReaction';
+import type { Message, PartialMessage } from '../structures/Message';
+import type { APIReaction } from '../types';
+
+/**
+ * Manages the reactions on a message, keyed by emoji ID (custom) or name
+ */
+export class ReactionManager extends BaseManager<string, MessageReaction> {
+  /** The message this manager belongs to */
+  public readonly message: Message | PartialMessage;
+
+  constructor(client: any, message: Message | PartialMessage, iterable?: Iterable<APIReaction>) {
+    super(client, MessageReaction, undefined, undefined, { cacheType: 'ReactionManager' });
+    this.message = message;
+
+    if (iterable) {
+      for (const item of iterable) this._add(item);
+    }
+  }
+
+  /**
+   * Add a reaction to the cache, or update the cached one
+   */
+  _add(data: APIReaction, cache = true): MessageReaction {
+    const key = MessageReaction.keyOf(data.emoji);
+    const existing = this.cache.get(key);
+    if (existing) {
+      existing.count = data.count;
+      if (data.me !== undefined) existing.me = data.me;
+      return existing;
+    }
+
+    const reaction = new MessageReaction(this.client, data, this.message);
+    if (cache) this.cache.set(key, reaction);
+    return reaction;
+  }
+}
+
+export default ReactionManager;
@@ -0,0 +1,58 @@
+/**
+ * Manager for the users of a single reaction
+ */
+
+import { BaseManager } from './BaseManager';
+import { Collection } from '../utils/Collection';
+import { User } from '../structures/User';
+import type { MessageReaction } from '../structures/MessageReaction';
+import type { APIUser } from '../types';
+
+/**
+ * Manages the users who reacted with an emoji
+ */
+export class ReactionUserManager extends BaseManager<string, User> {
+  /** The reaction this manager belongs to */
+  public readonly reaction: MessageReaction;
+
+  constructor(client: any, reaction: MessageReaction) {
+    super(client, User, undefined, undefined, { cacheType: 'ReactionUserManager' });
+    this.reaction = reaction;
+  }
+
+  /**
+   * Add a user to the cache
+   */
+  _add(data: APIUser | User, cache = true): User {
+    const user = data instanceof User ? data : new User(data);
+    if (cache) this.cache.set(user.id, user);
+    return user;
+  }
+
+  /**
+   * Fetch the users who reacted
+   */
+  async fetch(options?: { limit?: number; after?: string }): Promise<Collection<string, User>> {
+    const { guildId, channelId, id } = this.reaction.message;
+    const data: APIUser[] = await this.client.rest.getReactions(guildId || '', channelId, id, this.reaction.identifier, options);
+
+    const users = new Collection<string, User>();
+    for (const userData of data) {
+      const user = this._add(userData);
+      users.set(user.id, user);
+    }
+    return users;
+  }
+
+  /**
+   * Remove a user's reaction
+   */
+  async remove(user?: User | string): Promise<MessageReaction> {
+    const reaction = await this.reaction.remove(user);
+    const userId = typeof user === 'string' ? user : (user?.id ?? this.client.user?.id);
+    if (userId) this.cache.delete(userId);
+    return reaction;
+  }
+}
+
+export default ReactionUserManager;
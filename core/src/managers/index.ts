@@ -4,6 +4,11 @@
 
 export * from './BaseManager';
 export * from './GuildMemberManager';
+export * from './MessageManager';
+export * from './ReactionManager';
+export * from './ReactionUserManager';
 export * from './ChannelManager';
 export * from './RoleManager';
 export * from './ApplicationCommandManager';
+export * from './PluginManager';
+export * from './GuildBanManager';
@@ -0,0 +1,205 @@
+/**
+ * Attachments - Files sent with messages, resolved lazily and streamed
+ */
+
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { basename } from 'path';
+import { Readable } from 'stream';
+import { ErrorCodes, ErrorLocale, JubbioError } from '../errors';
+
+/**
+ * Where the contents of a file come from: a Buffer, a file path, an http(s) or data URL, or a stream
+ */
+export type AttachmentSource = Buffer | Uint8Array | string | URL | Readable;
+
+/**
+ * A file with its options
+ *
+ * @example
+ * await channel.send({
+ *   embeds: [new EmbedBuilder().setImage('attachment://chart.png')],
+ *   files: [
+ *     { attachment: './chart.png', description: 'Weekly chart' },
+ *     { attachment: 'https://example.com/report.pdf', name: 'report.pdf' },
+ *     { attachment: createReadStream('./secret.txt'), spoiler: true },
+ *   ],
+ * });
+ */
+export interface AttachmentData {
+  attachment: AttachmentSource;
+  /** File name, referenced by embeds as `attachment://<name>` (default: from the path or URL) */
+  name?: string;
+  /** Alt text of the file */
+  description?: string;
+  /** Hide the file behind a spoiler (prefixes the name with `SPOILER_`) */
+  spoiler?: boolean;
+  /** MIME type (default: from the name) */
+  contentType?: string;
+}
+
+/**
+ * Anything that can be sent as a file: a source, a source with options, or `{ name, data }`
+ */
+export type FileResolvable =
+  | AttachmentSource
+  | AttachmentData
+  | { name: string; data: Buffer; contentType?: string; description?: string; spoiler?: boolean };
+
+/**
+ * A file ready to be added to a multipart body
+ * @internal
+ */
+export interface ResolvedAttachment {
+  /** Name it is uploaded with */
+  name: string;
+  /** Name before the spoiler prefix, as embeds may reference it */
+  originalName: string;
+  description?: string;
+  contentType?: string;
+  /** Size in bytes, once known */
+  size?: number;
+  /** Open the contents, called for every attempt of the request; the signal aborts downloads */
+  open(signal?: AbortSignal): Promise<{ data: Buffer | Readable; size?: number }>;
+}
+
+const URL_PATTERN = /^https?:\/\//i;
+
+/**
+ * Contents of a `data:` URL: percent-decoded, then base64-decoded when the media type ends with `;base64`
+ */
+function decodeDataURL(location: string): Buffer {
+  const comma = location.indexOf(',');
+  const mediaType = location.slice('data:'.length, comma).trim();
+  const data = percentDecode(location.slice(comma + 1));
+  return /;\s*base64$/i.test(mediaType) ? Buffer.from(data.toString('latin1'), 'base64') : data;
+}
+
+/**
+ * Replace `%XX` escapes with the bytes they stand for, other characters are kept as UTF-8
+ */
+function percentDecode(text: string): Buffer {
+  const input = Buffer.from(text, 'utf8');
+  const output = Buffer.alloc(input.length);
+  let length = 0;
+  for (let i = 0; i < input.length; i++) {
+    const hex = input[i] === 0x25 ? input.toString('latin1', i + 1, i + 3) : '';
+    if (/^[0-9a-f]{2}$/i.test(hex)) {
+      output[length++] = parseInt(hex, 16);
+      i += 2;
+    } else {
+      output[length++] = input[i];
+    }
+  }
+  return output.subarray(0, length);
+}
+
+/**
+ * Resolve a file to its name, options and a way to open its contents.
+ * Nothing is read until `open()` is called.
+ * @internal
+ */
+export function resolveAttachment(file: FileResolvable, index: number, locale?: ErrorLocale): ResolvedAttachment {
+  let source: AttachmentSource;
+  let options: Omit<AttachmentData, 'attachment'>;
+  if (isSource(file)) {
+    source = file;
+    options = {};
+  } else if ('attachment' in file) {
+    ({ attachment: source, ...options } = file);
+  } else if (file && 'data' in file) {
+    ({ data: source, ...options } = file);
+  } else {
+    throw new JubbioError(ErrorCodes.AttachmentInvalid, [index], { locale });
+  }
+
+  const originalName = options.name ?? nameOf(source) ?? `file-${index + 1}`;
+  const name = options.spoiler && !originalName.startsWith('SPOILER_') ? `SPOILER_${originalName}` : originalName;
+
+  const attachment: ResolvedAttachment = {
+    name,
+    originalName,
+    description: options.description,
+    contentType: options.contentType,
+    async open(signal) {
+      const opened = await openSource(source, name, locale, signal);
+      attachment.size = opened.size;
+      return opened;
+    },
+  };
+  return attachment;
+}
+
+/**
+ * Point `attachment://` references of embeds at the uploaded names (spoiler files are renamed)
+ * @internal
+ */
+export function resolveAttachmentReferences<T>(embeds: T[] | undefined, attachments: ResolvedAttachment[]): T[] | undefined {
+  const renamed = attachments.filter(attachment => attachment.name !== attachment.originalName);
+  if (!embeds || renamed.length === 0) return embeds;
+
+  let json = JSON.stringify(embeds);
+  for (const attachment of renamed) {
+    json = json.split(`"attachment://${attachment.originalName}"`).join(`"attachment://${attachment.name}"`);
+  }
+  return JSON.parse(json);
+}
+
+function isSource(file: FileResolvable): file is AttachmentSource {
+  return typeof file === 'string'
+    || file instanceof URL
+    || file instanceof Readable
+    || file instanceof Uint8Array;
+}
+
+/**
+ * Default file name of a source
+ */
+function nameOf(source: AttachmentSource): string | undefined {
+  if (source instanceof URL || (typeof source === 'string' && URL_PATTERN.test(source))) {
+    const { pathname } = new URL(source.toString());
+    return basename(decodeURIComponent(pathname)) || undefined;
+  }
+  if (typeof source === 'string' && !source.startsWith('data:')) return basename(source);
+  const path = (source as { path?: unknown }).path;
+  return typeof path === 'string' ? basename(path) : undefined;
+}
+
+async function openSource(
+  source: AttachmentSource,
+  name: string,
+  locale?: ErrorLocale,
+  signal?: AbortSignal
+): Promise<{ data: Buffer | Readable; size?: number }> {
+  if (Buffer.isBuffer(source)) return { data: source, size: source.length };
+  if (source instanceof Uint8Array) return { data: Buffer.from(source), size: source.byteLength };
+
+  if (source instanceof Readable) {
+    // A stream can only be sent once, a retry needs a source that can be opened again
+    if (source.readableDidRead || source.destroyed) {
+      throw new JubbioError(ErrorCodes.AttachmentStreamReused, [name], { locale });
+    }
+    return { data: source };
+  }
+
+  const location = source.toString();
+  if (location.startsWith('data:')) {
+    const data = decodeDataURL(location);
+    return { data, size: data.length };
+  }
+
+  if (URL_PATTERN.test(location)) {
+    const response = await fetch(location, { signal });
+    if (!response.ok || !response.body) {
+      throw new JubbioError(ErrorCodes.AttachmentFetchFailed, [location, response.status], { locale });
+    }
+    const length = response.headers.get('content-length');
+    return {
+      data: Readable.fromWeb(response.body as any),
+      size: length !== null ? Number(length) : undefined,
+    };
+  }
+
+  const { size } = await stat(location);
+  return { data: createReadStream(location), size };
+}
@@ -1,4 +1,10 @@
-import { APIMessage, APIApplicationCommand, APIEmbed } from '../types';
+import { EventEmitter } from 'events';
+import { Readable, Transform } from 'stream';
+import { APIMessage, APIApplicationCommand, APIEmbed, APIUser } from '../types';
+import { APIRequestBody, ErrorCodes, ErrorLocale, HTTPError, JubbioAPIError, JubbioError } from '../errors';
+import { Logger, LogRedactionOptions, RedactingLogger, redactTokens } from '../utils/Logger';
+import { RateLimitData, RateLimitManager, parseRoute, sleep } from './RateLimitManager';
+import { FileResolvable, ResolvedAttachment, resolveAttachment, resolveAttachmentReferences } from './Attachments';
 
 /**
  * Mention data structure for our system
@@ -29,19 +35,165 @@ interface CachedUser {
   cachedAt: number;
 }
 
+/**
+ * Options for the REST client
+ */
+export interface RESTOptions {
+  /** Receives request logs (default: nothing is logged) */
+  logger?: Logger;
+  /** What is hidden from the logs (default: the token and bodies) */
+  logRedaction?: LogRedactionOptions;
+  /** Language of the error messages (default 'en') */
+  locale?: ErrorLocale;
+  /** Requests allowed per second across all routes (default 50) */
+  globalRequestsPerSecond?: number;
+  /** When network errors and 5xx responses are retried */
+  retry?: RESTRetryOptions;
+  /** Timeout of each attempt in ms, 0 disables it (default 15000) */
+  timeout?: number;
+  /** Timeout of each attempt of a file upload in ms, 0 disables it (default 0, large files take as long as they need) */
+  uploadTimeout?: number;
+}
+
+/**
+ * Retry policy for network errors, timeouts and 5xx responses. 429s are retried up to `retries` times
+ * for every method, after the wait the API asks for
+ */
+export interface RESTRetryOptions {
+  /** Retries after the first attempt, 0 disables retrying (default 3) */
+  retries?: number;
+  /** Delay before the first retry in ms, doubled on each retry (default 500) */
+  baseDelay?: number;
+  /** Upper bound for the delay in ms (default 10000) */
+  maxDelay?: number;
+  /** Response statuses that are retried (default 500, 502, 503, 504) */
+  statusCodes?: number[];
+  /** Methods that are safe to send twice (default GET, HEAD, OPTIONS, PUT, DELETE) */
+  methods?: string[];
+}
+
+/**
+ * Options of a single request
+ */
+export interface RequestOptions {
+  /** Aborts the request, including rate limit waits and pending retries */
+  signal?: AbortSignal;
+  /** Timeout of each attempt in ms, overrides RESTOptions.timeout */
+  timeout?: number;
+}
+
+/**
+ * A failed request that is about to be sent again
+ */
+export interface RESTRetryData {
+  method: string;
+  path: string;
+  /** The attempt that failed, starting at 1 */
+  attempt: number;
+  /** Retries allowed in total */
+  retries: number;
+  /** Time until the next attempt, in ms */
+  delay: number;
+  /** Status of the failed response, if the API answered */
+  status?: number;
+  /** Network error or timeout, if it didn't */
+  error?: Error;
+}
+
+/**
+ * Events emitted by the REST client
+ */
+export interface RESTEvents {
+  /** A request is waiting for a rate limit */
+  rateLimited: [data: RateLimitData];
+  /** A request failed and will be retried */
+  restRetry: [data: RESTRetryData];
+  /** Part of a file upload was sent */
+  uploadProgress: [data: UploadProgressData];
+}
+
+/**
+ * Progress of a request uploading files
+ */
+export interface UploadProgressData {
+  method: string;
+  path: string;
+  /** Names of the files being uploaded */
+  files: string[];
+  /** Bytes of the body sent so far */
+  loaded: number;
+  /** Size of the body, null while a file of unknown size (a stream) is in it */
+  total: number | null;
+}
+
+/**
+ * Headers and body of one attempt of a request
+ */
+interface RequestBody {
+  headers?: Record<string, string>;
+  body?: any;
+}
+
 /**
  * REST API client for Jubbio
  */
-export class REST {
+export class REST extends EventEmitter {
   private baseUrl: string;
   private token: string = '';
+  private locale: ErrorLocale = 'en';
+  private readonly logger: RedactingLogger;
+  private readonly rateLimits: RateLimitManager;
+  private readonly retry: Required<RESTRetryOptions>;
+  private readonly timeout: number;
+  private readonly uploadTimeout: number;
   
   // User cache for mention resolution (ID -> username)
   private userCache: Map<number, CachedUser> = new Map();
   private readonly USER_CACHE_TTL = 5 * 60 * 1000; // 5 dakika
 
-  constructor(baseUrl: string = 'https://gateway.jubbio.com/api/v1') {
+  constructor(baseUrl: string = 'https://gateway.jubbio.com/api/v1', options: RESTOptions = {}) {
+    super();
     this.baseUrl = baseUrl;
+    this.locale = options.locale ?? 'en';
+    // The client passes its own logger, already redacting
+    this.logger = options.logger instanceof RedactingLogger
+      ? options.logger
+      : new RedactingLogger(options.logger, options.logRedaction);
+    this.retry = {
+      retries: options.retry?.retries ?? 3,
+      baseDelay: options.retry?.baseDelay ?? 500,
+      maxDelay: options.retry?.maxDelay ?? 10000,
+      statusCodes: options.retry?.statusCodes ?? [500, 502, 503, 504],
+      methods: (options.retry?.methods ?? ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']).map(method => method.toUpperCase()),
+    };
+    this.timeout = options.timeout ?? 15000;
+    this.uploadTimeout = options.uploadTimeout ?? 0;
+    this.rateLimits = new RateLimitManager({
+      globalRequestsPerSecond: options.globalRequestsPerSecond,
+      onRateLimited: (data) => {
+        this.logger.debug(`[REST] Rate limited on ${data.method} ${data.route} for ${data.timeout}ms${data.global ? ' (global)' : ''}`);
+        this.emit('rateLimited', data);
+      },
+      debug: (message) => this.logger.debug(message),
+    });
+  }
+
+  on<K extends keyof RESTEvents>(event: K, listener: (...args: RESTEvents[K]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this {
+    return super.on(event, listener);
+  }
+
+  once<K extends keyof RESTEvents>(event: K, listener: (...args: RESTEvents[K]) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this {
+    return super.once(event, listener);
+  }
+
+  emit<K extends keyof RESTEvents>(event: K, ...args: RESTEvents[K]): boolean;
+  emit(event: string | symbol, ...args: any[]): boolean;
+  emit(event: string | symbol, ...args: any[]): boolean {
+    return super.emit(event, ...args);
   }
 
   // ==================== Mention Helpers ====================
@@ -288,30 +440,169 @@ export class REST {
    */
   setToken(token: string): this {
     this.token = token;
+    this.logger.setToken(token);
     return this;
   }
 
+  /**
+   * Set the language of the error messages
+   */
+  setLocale(locale: ErrorLocale): this {
+    this.locale = locale;
+    return this;
+  }
+
+  /**
+   * Create an error in the configured locale
+   */
+  private createError(code: ErrorCodes, ...args: unknown[]): JubbioError {
+    return new JubbioError(code, args, { locale: this.locale });
+  }
+
+  /**
+   * Send an authenticated request through its rate limit bucket, retrying it per the retry policy.
+   * `init` is called for every attempt, so a retry is sent with a fresh body.
+   */
+  private async execute(
+    method: string,
+    path: string,
+    init: (signal: AbortSignal) => RequestBody | Promise<RequestBody>,
+    options: RequestOptions = {}
+  ): Promise<Response> {
+    const retryable = this.retry.methods.includes(method);
+
+    for (let attempt = 1; ; attempt++) {
+      let response: Response | null = null;
+      let error: Error | null = null;
+      try {
+        response = await this.rateLimits.queue(method, path, () => this.send(method, path, init, options), {
+          signal: options.signal,
+          retries: this.retry.retries,
+        });
+      } catch (err) {
+        if (options.signal?.aborted) throw options.signal.reason;
+        error = err as Error;
+      }
+
+      const failed = error !== null || this.retry.statusCodes.includes(response!.status);
+      if (!failed || !retryable || attempt > this.retry.retries) {
+        if (error) throw error;
+        return response!;
+      }
+
+      // Discard the failed response before trying again
+      await response?.body?.cancel().catch(() => {});
+      const delay = Math.min(this.retry.baseDelay * 2 ** (attempt - 1), this.retry.maxDelay);
+      this.logger.warn(`[REST] ${method} ${path} failed (${error ? error.message : response!.status}), retry ${attempt}/${this.retry.retries} in ${delay}ms`);
+      this.emit('restRetry', {
+        method,
+        path,
+        attempt,
+        retries: this.retry.retries,
+        delay,
+        status: response?.status,
+        error: error ?? undefined,
+      });
+      await sleep(delay, options.signal);
+    }
+  }
+
+  /**
+   * Send one attempt of a request, aborted by the caller's signal or the timeout
+   */
+  private async send(
+    method: string,
+    path: string,
+    init: (signal: AbortSignal) => RequestBody | Promise<RequestBody>,
+    options: RequestOptions
+  ): Promise<Response> {
+    const { signal } = options;
+    signal?.throwIfAborted();
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal!.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timeout = options.timeout ?? this.timeout;
+    let timedOut = false;
+    const timer = timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+
+    try {
+      // Building the body may download files, which the signal and timeout apply to as well
+      const { headers, body } = await init(controller.signal);
+      return await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'Authorization': `Bot ${this.token}`,
+          ...headers
+        },
+        body,
+        signal: controller.signal,
+        // Streamed bodies (file uploads) are sent while the response is awaited
+        ...(body instanceof Readable ? { duplex: 'half' as const } : {})
+      });
+    } catch (error) {
+      // The route leaves interaction and webhook tokens out of the message
+      if (timedOut) throw this.createError(ErrorCodes.APIRequestTimeout, method, parseRoute(path).route, timeout);
+      throw error;
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Build the error of a failed response: a JubbioAPIError when the API sent a JSON error,
+   * an HTTPError otherwise. Tokens are removed from the URL and the request body.
+   */
+  private async createHTTPError(response: Response, method: string, path: string, requestBody: APIRequestBody): Promise<HTTPError> {
+    const text = await response.text();
+    let rawError: unknown = text;
+    try {
+      rawError = JSON.parse(text);
+    } catch {
+      // Not JSON, keep the text
+    }
+
+    const data = {
+      status: response.status,
+      method,
+      url: redactTokens(`${this.baseUrl}${path}`, this.token),
+      rawError,
+      requestBody: {
+        ...requestBody,
+        json: requestBody.json === undefined
+          ? undefined
+          : JSON.parse(redactTokens(JSON.stringify(requestBody.json), this.token)),
+      },
+    };
+    const options = { locale: this.locale };
+
+    return rawError && typeof rawError === 'object' && !Array.isArray(rawError)
+      ? new JubbioAPIError({ ...data, rawError: rawError as Record<string, any> }, options)
+      : new HTTPError(data, options);
+  }
+
   /**
    * Make an authenticated request
+   * @param options - Abort signal and timeout of this request
    */
-  private async request<T>(method: string, path: string, body?: any): Promise<T> {
+  async request<T>(method: string, path: string, body?: any, options?: RequestOptions): Promise<T> {
     const url = `${this.baseUrl}${path}`;
     
-    // Debug log
-    console.log(`[REST] ${method} ${url}`, body ? JSON.stringify(body) : '');
+    this.logger.debug(`[REST] ${method} ${url}`, body ? { body } : undefined);
     
-    const response = await fetch(url, {
-      method,
-      headers: {
-        'Authorization': `Bot ${this.token}`,
-        'Content-Type': 'application/json'
-      },
+    const response = await this.execute(method, path, () => ({
+      headers: { 'Content-Type': 'application/json' },
       body: body ? JSON.stringify(body) : undefined
-    });
+    }), options);
 
     if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`API Error ${response.status}: ${error}`);
+      throw await this.createHTTPError(response, method, path, { json: body });
     }
 
     // Handle empty responses
@@ -337,7 +628,7 @@ export class REST {
     embeds?: APIEmbed[];
     components?: any[];
     mentions?: MentionsData;
-    files?: Array<{ name: string; data: Buffer }>;
+    files?: FileResolvable[];
     message_reference?: { message_id: string };
     interactionId?: string;
   }, data?: {
@@ -345,7 +636,7 @@ export class REST {
     embeds?: APIEmbed[];
     components?: any[];
     mentions?: MentionsData;
-    files?: Array<{ name: string; data: Buffer }>;
+    files?: FileResolvable[];
     message_reference?: { message_id: string };
     interactionId?: string;
   }): Promise<APIMessage> {
@@ -361,6 +652,12 @@ export class REST {
       // Yeni format: createMessage(guildId, channelId, data)
       guildId = guildIdOrChannelId;
       channelId = channelIdOrData;
+      
+      // Files are sent as multipart
+      if (data.files && data.files.length > 0) {
+        return this.createMessageWithFiles(guildId, channelId, { ...data, files: data.files });
+      }
+      
       messageData = this.prepareMessageData(data);
       
       // Add interaction_id if provided
@@ -370,9 +667,9 @@ export class REST {
     } else if (typeof channelIdOrData === 'object') {
       // Eski format: createMessage(channelId, data) - guildId yok
       // Bu format artık desteklenmiyor, hata fırlat
-      throw new Error('createMessage requires guildId: createMessage(guildId, channelId, data)');
+      throw this.createError(ErrorCodes.MessageGuildIdRequired);
     } else {
-      throw new Error('Invalid createMessage arguments');
+      throw this.createError(ErrorCodes.MessageInvalidArguments);
     }
     
     return this.request<APIMessage>('POST', `/bot/guilds/${guildId}/channels/${channelId}/messages`, messageData);
@@ -412,6 +709,14 @@ export class REST {
     return this.request<APIMessage>('POST', `/bot/dm/${channelId}`, data);
   }
 
+  /**
+   * Get a single message
+   */
+  async getMessage(guildId: string, channelId: string, messageId: string): Promise<APIMessage> {
+    const path = `/bot/guilds/${guildId}/channels/${channelId}/messages/${messageId}`;
+    return this.request<APIMessage>('GET', path);
+  }
+
   /**
    * Edit a message
    * Automatically processes mentions
@@ -446,9 +751,7 @@ export class REST {
     if (/^<a?:\w+:\d+>$/.test(trimmed)) return trimmed;
     // Unicode emoji by name: :name:
     if (/^:\w+:$/.test(trimmed)) return trimmed;
-    throw new Error(
-      `Geçersiz emoji formatı: "${emoji}". Kabul edilen formatlar: :emoji_name:, <:name:id>, <a:name:id>`
-    );
+    throw this.createError(ErrorCodes.EmojiInvalid, emoji);
   }
 
   /**
@@ -471,87 +774,176 @@ export class REST {
     await this.request<void>('DELETE', path);
   }
 
+  /**
+   * Remove another user's reaction from a message
+   * @param emoji - Emoji in :name:, <:name:id>, or <a:name:id> format
+   */
+  async removeUserReaction(guildId: string, channelId: string, messageId: string, emoji: string, userId: string): Promise<void> {
+    const validated = this.validateEmoji(emoji);
+    const path = `/bot/guilds/${guildId}/channels/${channelId}/messages/${messageId}/reactions/${encodeURIComponent(validated)}/${userId}`;
+    await this.request<void>('DELETE', path);
+  }
+
+  /**
+   * Get the users who reacted with an emoji
+   * @param emoji - Emoji in :name:, <:name:id>, or <a:name:id> format
+   */
+  async getReactions(guildId: string, channelId: string, messageId: string, emoji: string, options?: {
+    limit?: number;
+    after?: string;
+  }): Promise<APIUser[]> {
+    const validated = this.validateEmoji(emoji);
+    const params = new URLSearchParams();
+    if (options?.limit) params.append('limit', String(options.limit));
+    if (options?.after) params.append('after', options.after);
+
+    const query = params.toString() ? `?${params.toString()}` : '';
+    const path = `/bot/guilds/${guildId}/channels/${channelId}/messages/${messageId}/reactions/${encodeURIComponent(validated)}${query}`;
+    const response = await this.request<APIUser[] | { users: APIUser[] }>('GET', path);
+    return Array.isArray(response) ? response : (response?.users || []);
+  }
+
 
   /**
    * Upload an attachment to a channel
    */
-  async uploadAttachment(guildId: string, channelId: string, file: { name: string; data: Buffer; contentType?: string }): Promise<{ id: string; url: string; filename: string }> {
-    const FormData = require('form-data');
-    const form = new FormData();
+  async uploadAttachment(guildId: string, channelId: string, file: FileResolvable, options?: RequestOptions): Promise<{ id: string; url: string; filename: string }> {
+    const attachment = resolveAttachment(file, 0, this.locale);
+    const path = `/bot/guilds/${guildId}/channels/${channelId}/attachments`;
     
-    // form-data expects the buffer directly with options
-    form.append('file', file.data, {
-      filename: file.name,
-      contentType: file.contentType || 'text/plain'
-    });
+    this.logger.debug(`[REST] Uploading attachment: ${attachment.name}`);
     
-    const url = `${this.baseUrl}/bot/guilds/${guildId}/channels/${channelId}/attachments`;
+    return this.requestMultipart('POST', path, {}, 'file', [attachment], options);
+  }
+
+  /**
+   * Create a message with a file attachment
+   */
+  async createMessageWithFile(guildId: string, channelId: string, data: {
+    content?: string;
+    file: FileResolvable;
+    interactionId?: string;
+  }, options?: RequestOptions): Promise<APIMessage> {
+    return this.createMessageWithFiles(guildId, channelId, {
+      content: data.content,
+      files: [data.file],
+      interactionId: data.interactionId
+    }, options);
+  }
+
+  /**
+   * Create a message with file attachments. Files are streamed, embeds can show them
+   * with `attachment://<name>`.
+   * 
+   * @example
+   * await rest.createMessageWithFiles(guildId, channelId, {
+   *   embeds: [{ title: 'Report', image: { url: 'attachment://chart.png' } }],
+   *   files: ['./chart.png', { attachment: 'https://example.com/data.csv', description: 'Raw data' }],
+   * });
+   */
+  async createMessageWithFiles(guildId: string, channelId: string, data: {
+    content?: string;
+    embeds?: APIEmbed[];
+    components?: any[];
+    mentions?: MentionsData;
+    message_reference?: { message_id: string };
+    interactionId?: string;
+    files: FileResolvable[];
+  }, options?: RequestOptions): Promise<APIMessage> {
+    const attachments = data.files.map((file, index) => resolveAttachment(file, index, this.locale));
+    const { files, interactionId, ...message } = data;
+    const processed = this.prepareMessageData({
+      ...message,
+      embeds: resolveAttachmentReferences(data.embeds, attachments)
+    });
+    const path = `/bot/guilds/${guildId}/channels/${channelId}/messages`;
     
-    console.log(`[REST] Uploading attachment: ${file.name} (${file.data.length} bytes)`);
+    this.logger.debug(`[REST] Creating message with ${attachments.length} file(s): ${attachments.map(a => a.name).join(', ')}${interactionId ? ` [interaction: ${interactionId}]` : ''}`);
     
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bot ${this.token}`,
-        ...form.getHeaders()
-      },
-      body: form.getBuffer()
-    });
+    return this.requestMultipart<APIMessage>('POST', path, {
+      ...processed,
+      interaction_id: interactionId,
+      attachments: attachments.map((attachment, id) => ({
+        id,
+        filename: attachment.name,
+        description: attachment.description
+      }))
+    }, 'files', attachments, options);
+  }
+
+  /**
+   * Send a multipart request: the fields (objects as JSON) followed by the files, streamed.
+   * The body is built again for every attempt, reopening the files.
+   */
+  private async requestMultipart<T>(
+    method: string,
+    path: string,
+    fields: Record<string, unknown>,
+    fileField: string,
+    attachments: ResolvedAttachment[],
+    options?: RequestOptions
+  ): Promise<T> {
+    const response = await this.execute(
+      method,
+      path,
+      (signal) => this.createForm(method, path, fields, fileField, attachments, signal),
+      { ...options, timeout: options?.timeout ?? this.uploadTimeout }
+    );
     
     if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`API Error ${response.status}: ${error}`);
+      const json = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+      throw await this.createHTTPError(response, method, path, {
+        json: Object.keys(json).length > 0 ? json : undefined,
+        files: attachments.map(({ name, contentType, size }) => ({ name, contentType, size }))
+      });
     }
     
-    return response.json() as Promise<{ id: string; url: string; filename: string }>;
+    return response.json() as Promise<T>;
   }
 
   /**
-   * Create a message with a file attachment
+   * Build a streamed multipart body that emits uploadProgress as it is read
    */
-  async createMessageWithFile(guildId: string, channelId: string, data: {
-    content?: string;
-    file: { name: string; data: Buffer; contentType?: string };
-    interactionId?: string;
-  }): Promise<APIMessage> {
+  private async createForm(
+    method: string,
+    path: string,
+    fields: Record<string, unknown>,
+    fileField: string,
+    attachments: ResolvedAttachment[],
+    signal: AbortSignal
+  ): Promise<RequestBody> {
     const FormData = require('form-data');
     const form = new FormData();
     
-    // Add content if provided
-    if (data.content) {
-      form.append('content', data.content);
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      form.append(key, typeof value === 'string' ? value : JSON.stringify(value));
     }
-    
-    // Add interaction_id if provided (for deferred response matching)
-    if (data.interactionId) {
-      form.append('interaction_id', data.interactionId);
+    for (const attachment of attachments) {
+      const { data, size } = await attachment.open(signal);
+      form.append(fileField, data, {
+        filename: attachment.name,
+        contentType: attachment.contentType,
+        knownLength: size
+      });
     }
     
-    // Add file
-    form.append('files', data.file.data, {
-      filename: data.file.name,
-      contentType: data.file.contentType || 'text/plain'
-    });
-    
-    const url = `${this.baseUrl}/bot/guilds/${guildId}/channels/${channelId}/messages`;
-    
-    console.log(`[REST] Creating message with file: ${data.file.name} (${data.file.data.length} bytes)${data.interactionId ? ` [interaction: ${data.interactionId}]` : ''}`);
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bot ${this.token}`,
-        ...form.getHeaders()
-      },
-      body: form.getBuffer()
+    // Only known when no file is a stream of unknown length
+    const total: number | null = form.hasKnownLength() ? form.getLengthSync() : null;
+    const files = attachments.map(attachment => attachment.name);
+    let loaded = 0;
+    const body = new Transform({
+      transform: (chunk: Buffer, _encoding, callback) => {
+        loaded += chunk.length;
+        this.emit('uploadProgress', { method, path, files, loaded, total });
+        callback(null, chunk);
+      }
     });
+    // form-data is a legacy stream, pipe() is what it supports. A file that fails to read fails the request
+    form.on('error', (error: Error) => body.destroy(error));
+    form.pipe(body);
     
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`API Error ${response.status}: ${error}`);
-    }
-    
-    return response.json() as Promise<APIMessage>;
+    return { headers: form.getHeaders(), body };
   }
 
   // ==================== Interactions ====================
@@ -564,7 +956,7 @@ export class REST {
     type: number;
     data?: any;
   }): Promise<void> {
-    console.log(`📤 Interaction response: ${interactionId} -> type ${data.type}`);
+    this.logger.debug(`[REST] Interaction response: ${interactionId} -> type ${data.type}`);
     try {
       // Process mentions in response data if present
       let processedData = data;
@@ -576,9 +968,9 @@ export class REST {
       }
       
       await this.request<void>('POST', `/interactions/${interactionId}/${token}/callback`, processedData);
-      console.log(`✅ Interaction response sent`);
+      this.logger.debug(`[REST] Interaction response sent: ${interactionId}`);
     } catch (error) {
-      console.error(`❌ Interaction response error:`, error);
+      this.logger.error(`[REST] Interaction response failed: ${interactionId}`, { error });
       throw error;
     }
   }
@@ -593,22 +985,23 @@ export class REST {
     embeds?: APIEmbed[];
     components?: any[];
     mentions?: MentionsData;
-    files?: Array<{ name: string; data: Buffer; contentType?: string }>;
+    files?: FileResolvable[];
   }, guildId?: string, channelId?: string, interactionId?: string): Promise<void> {
     const appId = this.getApplicationId();
     
     // Process mentions in content
     const processedData = this.prepareMessageData(data);
     
-    // If files are present and we have guild/channel info, create message with file instead
+    // If files are present and we have guild/channel info, create message with files instead
     if (data.files && data.files.length > 0 && guildId && channelId) {
-      console.log(`[REST] editInteractionResponse with ${data.files.length} files - using createMessageWithFile`);
+      this.logger.debug(`[REST] editInteractionResponse with ${data.files.length} files - using createMessageWithFiles`);
       
-      // Create message with file
-      const file = data.files[0]; // For now, support single file
-      await this.createMessageWithFile(guildId, channelId, {
-        content: processedData.content,
-        file: file,
+      await this.createMessageWithFiles(guildId, channelId, {
+        content: data.content,
+        embeds: data.embeds,
+        components: data.components,
+        mentions: data.mentions,
+        files: data.files,
         interactionId: interactionId
       });
       return;
@@ -617,7 +1010,7 @@ export class REST {
     // If we have guildId, channelId and interactionId, create a new message with interaction_id
     // This is needed because our deferred response doesn't create a message
     if (guildId && channelId && interactionId) {
-      console.log(`[REST] editInteractionResponse - creating message with interaction_id: ${interactionId}`);
+      this.logger.debug(`[REST] editInteractionResponse - creating message with interaction_id: ${interactionId}`);
       
       const payload: any = {
         interaction_id: interactionId
@@ -784,7 +1177,7 @@ export class REST {
    */
   private getApplicationId(): string {
     if (!this.applicationId) {
-      throw new Error('Application ID not set. Call setApplicationId() first.');
+      throw this.createError(ErrorCodes.ApplicationIdMissing);
     }
     return this.applicationId;
   }
@@ -1070,8 +1463,14 @@ export class REST {
   /**
    * Get guild bans
    */
-  async getBans(guildId: string): Promise<any[]> {
-    return this.request('GET', `/bot/guilds/${guildId}/bans`);
+  async getBans(guildId: string, options?: { limit?: number; before?: string; after?: string }): Promise<any[]> {
+    const params = new URLSearchParams();
+    if (options?.limit) params.set('limit', String(options.limit));
+    if (options?.before) params.set('before', options.before);
+    if (options?.after) params.set('after', options.after);
+    
+    const query = params.toString() ? `?${params.toString()}` : '';
+    return this.request('GET', `/bot/guilds/${guildId}/bans${query}`);
   }
 
   /**
@@ -0,0 +1,311 @@
+/**
+ * RateLimitManager - Per-route rate limit buckets for the REST client
+ */
+
+/**
+ * Information about a request held back by a rate limit
+ */
+export interface RateLimitData {
+  /** Time until the request is sent, in ms */
+  timeout: number;
+  /** Requests allowed per window in the bucket, -1 if unknown */
+  limit: number;
+  /** Bucket hash reported by the API, or the route when the API didn't send one */
+  bucket: string;
+  /** Guild, channel or interaction the bucket is scoped to, 'global' for unscoped routes */
+  majorParameter: string;
+  /** HTTP method */
+  method: string;
+  /** Request path */
+  path: string;
+  /** Route with the IDs replaced, e.g. `/bot/guilds/:id/members/:id/roles/:id` */
+  route: string;
+  /** Whether the global limit was hit rather than the bucket's */
+  global: boolean;
+}
+
+/**
+ * Options of the rate limit manager
+ */
+export interface RateLimitManagerOptions {
+  /** Requests allowed per second across all routes (default 50) */
+  globalRequestsPerSecond?: number;
+  /** Called whenever a request has to wait */
+  onRateLimited?: (data: RateLimitData) => void;
+  /** Receives debug messages */
+  debug?: (message: string) => void;
+}
+
+/**
+ * Options of one queued request
+ */
+export interface QueueOptions {
+  /** Aborts the request, also while it waits in its bucket or for a rate limit */
+  signal?: AbortSignal;
+  /** 429 responses retried before the last one is returned (default Infinity) */
+  retries?: number;
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @internal
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal!.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Route and major parameter of a request path
+ * @internal
+ */
+export function parseRoute(path: string): { route: string; majorParameter: string } {
+  const [pathname] = path.split('?');
+
+  const major = /^\/interactions\/webhooks\/[^/]+\/([^/]+)/.exec(pathname)
+    ?? /^\/interactions\/([^/]+)/.exec(pathname)
+    ?? /\/(?:guilds|channels|dm)\/([^/]+)/.exec(pathname);
+
+  const route = pathname
+    .replace(/^\/interactions\/webhooks\/[^/]+\/[^/]+/, '/interactions/webhooks/:id/:token')
+    .replace(/^\/interactions\/[^/]+\/[^/]+\/callback/, '/interactions/:id/:token/callback')
+    .replace(/\/reactions\/[^/]+/, '/reactions/:emoji')
+    .replace(/^\/bot\/invites\/[^/]+$/, '/bot/invites/:code')
+    .replace(/\/\d+(?=\/|$)/g, '/:id');
+
+  return { route, majorParameter: major?.[1] ?? 'global' };
+}
+
+/**
+ * Rate limit state of one bucket, requests in it are sent one at a time
+ */
+class RateLimitBucket {
+  /** Requests allowed per window, -1 until the API reports it */
+  public limit: number = -1;
+  /** Requests left in the current window */
+  public remaining: number = 1;
+  /** When the window resets (ms timestamp) */
+  public reset: number = -1;
+  /** Requests queued or in flight */
+  public pending: number = 0;
+
+  private tail: Promise<unknown> = Promise.resolve();
+
+  constructor(public hash: string, public readonly majorParameter: string) {}
+
+  get id(): string {
+    return `${this.hash}:${this.majorParameter}`;
+  }
+
+  /**
+   * Whether the next request has to wait for the window to reset
+   */
+  get limited(): boolean {
+    return this.remaining <= 0 && Date.now() < this.reset;
+  }
+
+  get timeToReset(): number {
+    return Math.max(this.reset - Date.now(), 0);
+  }
+
+  /**
+   * Run a task after every task queued before it.
+   * An aborted task rejects right away and is skipped when its turn comes.
+   */
+  push<T>(task: () => Promise<T>, signal?: AbortSignal): Promise<T> {
+    this.pending++;
+    const result = this.tail.then(() => {
+      signal?.throwIfAborted();
+      return task();
+    });
+    this.tail = result.then(() => undefined, () => undefined).then(() => {
+      this.pending--;
+    });
+    if (!signal) return result;
+
+    return new Promise<T>((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      result.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+}
+
+/**
+ * Queues REST requests in rate limit buckets.
+ *
+ * Requests are grouped by route and major parameter (guild, channel or interaction) and sent
+ * one at a time per bucket. `X-RateLimit-*` headers update the bucket, requests wait when it is
+ * exhausted, and a 429 is retried after `retry_after`. A global per-second limit applies across
+ * all buckets and is paused entirely by a global 429.
+ */
+export class RateLimitManager {
+  /** Buckets by `<bucket hash>:<major parameter>` */
+  private readonly buckets: Map<string, RateLimitBucket> = new Map();
+
+  /** Bucket hash the API reported for each route */
+  private readonly hashes: Map<string, string> = new Map();
+
+  private readonly globalLimit: number;
+  private globalRemaining: number;
+  private globalReset: number = -1;
+
+  /** Set by a global 429, every request waits until then */
+  private globalBlockedUntil: number = -1;
+
+  private readonly onRateLimited: (data: RateLimitData) => void;
+  private readonly debug: (message: string) => void;
+
+  constructor(options: RateLimitManagerOptions = {}) {
+    this.globalLimit = options.globalRequestsPerSecond ?? 50;
+    this.globalRemaining = this.globalLimit;
+    this.onRateLimited = options.onRateLimited ?? (() => {});
+    this.debug = options.debug ?? (() => {});
+  }
+
+  /**
+   * Send a request through its bucket
+   * @param send - Performs the request, called again when it is retried after a 429
+   */
+  queue(method: string, path: string, send: () => Promise<Response>, options: QueueOptions = {}): Promise<Response> {
+    const { route, majorParameter } = parseRoute(path);
+    const routeKey = `${method} ${route}`;
+    const hash = this.hashes.get(routeKey) ?? routeKey;
+
+    let bucket = this.buckets.get(`${hash}:${majorParameter}`);
+    if (!bucket) {
+      bucket = new RateLimitBucket(hash, majorParameter);
+      this.buckets.set(bucket.id, bucket);
+    }
+
+    const info = { method, path, route, majorParameter };
+    const result = bucket.push(() => this.run(bucket!, routeKey, info, send, options), options.signal);
+    // Forget idle buckets once their window is over, the next response recreates the state
+    result.then(() => undefined, () => undefined).then(() => {
+      if (bucket!.pending === 0 && !bucket!.limited && this.buckets.get(bucket!.id) === bucket) {
+        this.buckets.delete(bucket!.id);
+      }
+    });
+    return result;
+  }
+
+  private async run(
+    bucket: RateLimitBucket,
+    routeKey: string,
+    info: Pick<RateLimitData, 'method' | 'path' | 'route' | 'majorParameter'>,
+    send: () => Promise<Response>,
+    options: QueueOptions
+  ): Promise<Response> {
+    const { signal, retries = Infinity } = options;
+    for (let attempt = 0; ; attempt++) {
+      if (bucket.limited) {
+        const timeout = bucket.timeToReset;
+        this.onRateLimited({ ...info, timeout, limit: bucket.limit, bucket: bucket.hash, global: false });
+        await sleep(timeout, signal);
+      }
+      await this.acquireGlobal(info, bucket, signal);
+
+      const response = await send();
+      this.update(bucket, routeKey, response.headers);
+      // Out of retries, the caller turns the 429 into an error
+      if (response.status !== 429 || attempt >= retries) return response;
+
+      const { retryAfter, global } = await this.parseRateLimit(response);
+      if (global) {
+        this.globalBlockedUntil = Date.now() + retryAfter;
+      } else {
+        bucket.remaining = 0;
+        bucket.reset = Date.now() + retryAfter;
+      }
+      // The wait itself (and its rateLimited event) happens at the top of the loop or in acquireGlobal()
+      this.debug(`[REST] 429 on ${info.method} ${info.route} (${global ? 'global' : bucket.hash}), retrying in ${retryAfter}ms`);
+    }
+  }
+
+  /**
+   * Wait for a slot in the global limit
+   */
+  private async acquireGlobal(
+    info: Pick<RateLimitData, 'method' | 'path' | 'route' | 'majorParameter'>,
+    bucket: RateLimitBucket,
+    signal?: AbortSignal
+  ): Promise<void> {
+    for (;;) {
+      const now = Date.now();
+      let timeout: number;
+      if (this.globalBlockedUntil > now) {
+        timeout = this.globalBlockedUntil - now;
+      } else {
+        if (this.globalReset <= now) {
+          this.globalReset = now + 1000;
+          this.globalRemaining = this.globalLimit;
+        }
+        if (this.globalRemaining > 0) {
+          this.globalRemaining--;
+          return;
+        }
+        timeout = this.globalReset - now;
+      }
+      this.onRateLimited({ ...info, timeout, limit: this.globalLimit, bucket: bucket.hash, global: true });
+      await sleep(timeout, signal);
+    }
+  }
+
+  /**
+   * Update a bucket from the rate limit headers of a response
+   */
+  private update(bucket: RateLimitBucket, routeKey: string, headers: Headers): void {
+    const hash = headers.get('x-ratelimit-bucket');
+    if (hash && bucket.hash !== hash) {
+      // Later requests of this route join this bucket under the hash the API reported
+      this.hashes.set(routeKey, hash);
+      if (this.buckets.get(bucket.id) === bucket) this.buckets.delete(bucket.id);
+      bucket.hash = hash;
+      if (!this.buckets.has(bucket.id)) this.buckets.set(bucket.id, bucket);
+    }
+
+    const limit = headers.get('x-ratelimit-limit');
+    const remaining = headers.get('x-ratelimit-remaining');
+    const resetAfter = headers.get('x-ratelimit-reset-after');
+    const reset = headers.get('x-ratelimit-reset');
+
+    if (limit !== null) bucket.limit = Number(limit);
+    if (remaining !== null) bucket.remaining = Number(remaining);
+    if (resetAfter !== null) {
+      bucket.reset = Date.now() + Number(resetAfter) * 1000;
+    } else if (reset !== null) {
+      bucket.reset = Number(reset) * 1000;
+    } else if (remaining === null) {
+      // No rate limit headers: nothing known about this route
+      bucket.remaining = 1;
+    }
+  }
+
+  /**
+   * Read how long to wait from a 429 response (body `retry_after` or Retry-After header, in seconds)
+   */
+  private async parseRateLimit(response: Response): Promise<{ retryAfter: number; global: boolean }> {
+    let body: { retry_after?: number; global?: boolean } = {};
+    try {
+      body = JSON.parse(await response.text());
+    } catch {
+      // Not JSON, fall back to the headers
+    }
+
+    const seconds = Number(body?.retry_after ?? response.headers.get('retry-after'));
+    const retryAfter = Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds * 1000) : 1000;
+    const global = body?.global === true || response.headers.get('x-ratelimit-global') === 'true';
+    return { retryAfter, global };
+  }
+}
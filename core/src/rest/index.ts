@@ -1 +1,3 @@
 export * from './REST';
+export * from './RateLimitManager';
+export * from './Attachments';
@@ -4,7 +4,9 @@ import type { Client } from '../Client';
 import { Message } from './Message';
 import { Collection } from './Collection';
 import { MessageCollector, MessageCollectorOptions } from '../utils/Collector';
+import type { MessageManager } from '../managers/MessageManager';
 import { EmbedBuilder, APIEmbed as BuilderAPIEmbed } from '../builders/EmbedBuilder';
+import type { FileResolvable } from '../rest/Attachments';
 
 /** Resolve EmbedBuilder instances to plain API objects */
 function resolveEmbeds(embeds?: (BuilderAPIEmbed | EmbedBuilder)[]): BuilderAPIEmbed[] | undefined {
@@ -33,10 +35,14 @@ export class BaseChannel {
   /** Channel type */
   public readonly type: ChannelType;
 
+  /** Whether only the ID is known (an uncached channel, with Partials.Channel) */
+  public readonly partial: boolean;
+
   constructor(client: Client, data: APIChannel) {
     this.client = client;
     this.id = data.id;
     this.type = data.type;
+    this.partial = data.type == null;
   }
 
   /**
@@ -97,6 +103,13 @@ export class TextChannel extends BaseChannel {
     this.parentId = data.parent_id;
   }
 
+  /**
+   * Messages of this channel (cache + fetching)
+   */
+  get messages(): MessageManager {
+    return this.client._getMessageManager(this.id, this.guildId);
+  }
+
   /**
    * Send a message to this channel
    */
@@ -104,11 +117,13 @@ export class TextChannel extends BaseChannel {
     const content = typeof options === 'string' ? options : options.content;
     const embeds = typeof options === 'string' ? undefined : resolveEmbeds(options.embeds);
     const components = typeof options === 'string' ? undefined : options.components;
+    const files = typeof options === 'string' ? undefined : options.files;
     
     const data = await this.client.rest.createMessage(this.guildId || '', this.id, {
       content,
       embeds,
       components,
+      files,
     });
     
     return new Message(this.client, data);
@@ -238,6 +253,13 @@ export class DMChannel extends BaseChannel {
     this.recipientId = data.recipient_id;
   }
 
+  /**
+   * Messages of this DM
+   */
+  get messages(): MessageManager {
+    return this.client._getMessageManager(this.id);
+  }
+
   /**
    * Send a message to this DM
    */
@@ -261,7 +283,8 @@ export interface MessageCreateOptions {
   content?: string;
   embeds?: (APIEmbed | EmbedBuilder)[];
   components?: any[];
-  files?: any[];
+  /** Files to upload: Buffers, paths, URLs, streams or `{ attachment, name, description, spoiler }` */
+  files?: FileResolvable[];
 }
 
 /**
@@ -0,0 +1,64 @@
+import { APIUser, PresenceData, ActivityOptions } from '../types';
+import { PresenceStatus } from '../enums';
+import { User } from './User';
+import type { Client } from '../Client';
+
+/**
+ * Represents the logged in bot user
+ */
+export class ClientUser extends User {
+  /** Reference to the client */
+  public readonly client: Client;
+
+  constructor(client: Client, data: APIUser) {
+    super(data);
+    this.client = client;
+  }
+
+  /**
+   * The presence the bot is currently showing
+   */
+  get presence(): PresenceData {
+    return this.client._getPresence();
+  }
+
+  /**
+   * Set the bot's presence (status and/or activities)
+   * Omitted fields keep their current value
+   * 
+   * @example
+   * client.user.setPresence({
+   *   status: PresenceStatus.Idle,
+   *   activities: [{ name: 'with slash commands', type: ActivityType.Playing }]
+   * });
+   */
+  setPresence(data: PresenceData): PresenceData {
+    return this.client._updatePresence(data);
+  }
+
+  /**
+   * Set the bot's activity, call without arguments to clear it
+   * 
+   * @example
+   * client.user.setActivity('music', { type: ActivityType.Listening });
+   */
+  setActivity(name?: string | ActivityOptions, options: Omit<ActivityOptions, 'name'> = {}): PresenceData {
+    if (!name) return this.setPresence({ activities: [] });
+    const activity = typeof name === 'string' ? { ...options, name } : name;
+    return this.setPresence({ activities: [activity] });
+  }
+
+  /**
+   * Set the bot's status
+   */
+  setStatus(status: PresenceStatus | `${PresenceStatus}`): PresenceData {
+    return this.setPresence({ status });
+  }
+
+  /**
+   * Set whether the bot is AFK
+   */
+  setAFK(afk = true): PresenceData {
+    return this.setPresence({ afk });
+  }
+}
@@ -2,7 +2,13 @@ import { APIGuild, APIChannel, APIGuildMember } from '../types';
 import { Collection } from './Collection';
 import { GuildMember } from './GuildMember';
 import { ApplicationCommandManager } from '../managers/ApplicationCommandManager';
+import { GuildMemberManager } from '../managers/GuildMemberManager';
+import { GuildBanManager } from '../managers/GuildBanManager';
+import { RoleManager } from '../managers/RoleManager';
 import type { Client } from '../Client';
+import type { Presence } from './Presence';
+import type { Invite } from './Invite';
+import type { VoiceState } from './VoiceState';
 
 /**
  * Represents a guild
@@ -29,8 +35,14 @@ export class Guild {
   /** Whether the guild is unavailable */
   public unavailable: boolean;
   
-  /** Cached members */
-  public members: Collection<string, GuildMember>;
+  /** Member manager (cache + fetching) */
+  public readonly members: GuildMemberManager;
+
+  /** Role manager (cache + fetching) */
+  public readonly roles: RoleManager;
+
+  /** Ban manager (fetching + iteration) */
+  public readonly bans: GuildBanManager;
   
   /** Cached channels */
   public channels: Collection<string, APIChannel>;
@@ -38,6 +50,15 @@ export class Guild {
   /** Guild-specific slash commands manager */
   public readonly commands: ApplicationCommandManager;
 
+  /** Latest presences received, by user ID */
+  public readonly presences: Collection<string, Presence> = new Collection();
+
+  /** Invites created while the bot was online, by code */
+  public readonly invites: Collection<string, Invite> = new Collection();
+
+  /** Voice states of connected members, by user ID */
+  public readonly voiceStates: Collection<string, VoiceState> = new Collection();
+
   constructor(client: Client, data: APIGuild) {
     this.client = client;
     this.id = data.id;
@@ -46,7 +67,9 @@ export class Guild {
     this.ownerId = data.owner_id;
     this.memberCount = data.member_count ?? 0;
     this.unavailable = data.unavailable ?? false;
-    this.members = new Collection();
+    this.members = new GuildMemberManager(this);
+    this.roles = new RoleManager(this, data.roles);
+    this.bans = new GuildBanManager(this);
     this.channels = new Collection();
     this.commands = new ApplicationCommandManager(client.rest, this.id);
     
@@ -78,15 +101,7 @@ export class Guild {
    * Fetch a member by ID
    */
   async fetchMember(userId: string): Promise<GuildMember> {
-    // Check cache first
-    const cached = this.members.get(userId);
-    if (cached) return cached;
-    
-    // Fetch from API
-    const data = await this.client.rest.getMember(this.id, userId);
-    if (!data) throw new Error(`Member ${userId} not found in guild ${this.id}`);
-    const member = this._addMember(data);
-    return member;
+    return this.members.fetch(userId);
   }
 
   /**
@@ -96,16 +111,7 @@ export class Guild {
    * @returns Object with members array and pagination info
    */
   async fetchMembers(options?: { limit?: number; cursor?: string }): Promise<any> {
-    const data = await this.client.rest.getMembers(this.id, options);
-
-    // Cache fetched members
-    if (data?.members) {
-      for (const memberData of data.members) {
-        this._addMember(memberData);
-      }
-    }
-
-    return data;
+    return this.members.fetchPage(options);
   }
 
   /**
@@ -115,6 +121,23 @@ export class Guild {
     return this.name;
   }
 
+  /**
+   * Copy used to keep the previous state for update events.
+   * Managers and collections get their own caches, their entries are shared.
+   * @internal
+   */
+  _clone(): Guild {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, {
+      members: this.members._clone(),
+      roles: this.roles._clone(),
+      bans: this.bans._clone(),
+      channels: this.channels.clone(),
+      presences: this.presences.clone(),
+      invites: this.invites.clone(),
+      voiceStates: this.voiceStates.clone(),
+    });
+  }
+
   /**
    * Update guild data
    */
@@ -129,6 +152,11 @@ export class Guild {
         this.channels.set(String(channel.id), channel);
       }
     }
+    if (data.roles) {
+      for (const role of data.roles) {
+        this.roles._add(role);
+      }
+    }
   }
 
   /**
@@ -136,17 +164,6 @@ export class Guild {
    * Preserves voice state from existing cached member if new data doesn't include it
    */
   _addMember(data: APIGuildMember): GuildMember {
-    const member = new GuildMember(this.client, this, data);
-    
-    // Preserve voice state from cache if the new data doesn't have it
-    if (!data.voice?.channel_id) {
-      const existing = this.members.get(member.id);
-      if (existing?.voice?.channelId) {
-        member.voice = { ...existing.voice };
-      }
-    }
-    
-    this.members.set(member.id, member);
-    return member;
+    return this.members._add(data);
   }
 }
@@ -0,0 +1,35 @@
+import { APIUser } from '../types';
+import { User } from './User';
+import type { Client } from '../Client';
+import type { Guild } from './Guild';
+
+/**
+ * Represents a ban in a guild
+ */
+export class GuildBan {
+  /** Reference to the client */
+  public readonly client: Client;
+
+  /** ID of the guild the ban is in */
+  public readonly guildId: string;
+
+  /** The banned user */
+  public readonly user: User;
+
+  /** Ban reason (if known) */
+  public readonly reason: string | null;
+
+  constructor(client: Client, data: { guild_id: string; user: APIUser; reason?: string | null }) {
+    this.client = client;
+    this.guildId = String(data.guild_id);
+    this.user = new User(data.user);
+    this.reason = data.reason ?? null;
+  }
+
+  /**
+   * The guild the ban is in (if cached)
+   */
+  get guild(): Guild | null {
+    return this.client.guilds.get(this.guildId) ?? null;
+  }
+}
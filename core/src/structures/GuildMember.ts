@@ -260,6 +260,9 @@ export class GuildMember {
   /** Member permissions */
   public permissions: Permissions;
 
+  /** Whether this member was built from incomplete data (e.g. a remove event for an uncached member) */
+  public readonly partial: boolean;
+
   constructor(client: Client, guild: Guild, data: APIGuildMember) {
     this.client = client;
     this.guild = guild;
@@ -268,6 +271,7 @@ export class GuildMember {
     this.avatar = data.avatar;
     this.roles = data.roles;
     this.joinedTimestamp = new Date(data.joined_at).getTime();
+    this.partial = !data.joined_at;
     this.voice = {
       channelId: data.voice?.channel_id,
       selfMute: data.voice?.self_mute ?? false,
@@ -288,6 +292,14 @@ export class GuildMember {
     return this.user.id;
   }
 
+  /**
+   * Fetch this member from the API (hydrates partial members)
+   * Returns the fetched, cached member
+   */
+  async fetch(force = true): Promise<GuildMember> {
+    return this.guild.members.fetch(this.id, { force });
+  }
+
   /**
    * Get the display name (nickname or username)
    */
@@ -330,6 +342,17 @@ export class GuildMember {
     return `<@${this.id}>`;
   }
 
+  /**
+   * Copy used to keep the previous state for update events
+   * @internal
+   */
+  _clone(): GuildMember {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, {
+      roles: [...this.roles],
+      voice: { ...this.voice },
+    });
+  }
+
   /**
    * Update member data
    */
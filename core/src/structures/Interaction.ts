@@ -5,6 +5,8 @@ import { GuildMember } from './GuildMember';
 import { Collection } from './Collection';
 import { EmbedBuilder } from '../builders/EmbedBuilder';
 import type { Client } from '../Client';
+import { ErrorCodes, ErrorLocale, JubbioError } from '../errors';
+import type { FileResolvable } from '../rest/Attachments';
 
 /**
  * Serialize components array (ActionRowBuilder/ButtonBuilder instances) to plain JSON.
@@ -153,7 +155,7 @@ export class Interaction {
    */
   async reply(options: string | InteractionReplyOptions): Promise<void> {
     if (this.replied || this.deferred) {
-      throw new Error('Interaction has already been replied to or deferred');
+      throw new JubbioError(ErrorCodes.InteractionAlreadyReplied, [], { locale: this.client.options.locale });
     }
     
     const content = typeof options === 'string' ? options : options.content;
@@ -184,7 +186,7 @@ export class Interaction {
    */
   async deferReply(options?: { ephemeral?: boolean }): Promise<void> {
     if (this.replied || this.deferred) {
-      throw new Error('Interaction has already been replied to or deferred');
+      throw new JubbioError(ErrorCodes.InteractionAlreadyReplied, [], { locale: this.client.options.locale });
     }
     
     await this.client.rest.createInteractionResponse(this.id, this.token, {
@@ -256,7 +258,7 @@ export class CommandInteraction extends Interaction {
   constructor(client: Client, data: APIInteraction) {
     super(client, data);
     this.commandName = data.data?.name || '';
-    this.options = new CommandInteractionOptions(data.data?.options || [], data.data?.resolved);
+    this.options = new CommandInteractionOptions(data.data?.options || [], data.data?.resolved, client.options.locale);
   }
 
   /**
@@ -277,6 +279,7 @@ export class CommandInteraction extends Interaction {
 export class CommandInteractionOptions {
   private options: APIInteractionOption[];
   private resolved?: APIInteractionResolved;
+  private locale?: ErrorLocale;
 
   /** Patterns that indicate code injection attempts */
   private static readonly DANGEROUS_PATTERNS = [
@@ -298,9 +301,10 @@ export class CommandInteractionOptions {
     return value;
   }
 
-  constructor(options: APIInteractionOption[], resolved?: APIInteractionResolved) {
+  constructor(options: APIInteractionOption[], resolved?: APIInteractionResolved, locale?: ErrorLocale) {
     this.options = options;
     this.resolved = resolved;
+    this.locale = locale;
   }
 
   /**
@@ -308,7 +312,7 @@ export class CommandInteractionOptions {
    */
   getString(name: string, required?: boolean): string | null {
     const option = this.options.find(o => o.name === name);
-    if (!option && required) throw new Error(`Required option "${name}" not found`);
+    if (!option && required) throw new JubbioError(ErrorCodes.InteractionOptionNotFound, [name], { locale: this.locale });
     const raw = option?.value as string || null;
     return raw ? CommandInteractionOptions.sanitize(raw) : null;
   }
@@ -318,7 +322,7 @@ export class CommandInteractionOptions {
    */
   getInteger(name: string, required?: boolean): number | null {
     const option = this.options.find(o => o.name === name);
-    if (!option && required) throw new Error(`Required option "${name}" not found`);
+    if (!option && required) throw new JubbioError(ErrorCodes.InteractionOptionNotFound, [name], { locale: this.locale });
     return option?.value as number || null;
   }
 
@@ -334,7 +338,7 @@ export class CommandInteractionOptions {
    */
   getBoolean(name: string, required?: boolean): boolean | null {
     const option = this.options.find(o => o.name === name);
-    if (!option && required) throw new Error(`Required option "${name}" not found`);
+    if (!option && required) throw new JubbioError(ErrorCodes.InteractionOptionNotFound, [name], { locale: this.locale });
     return option?.value as boolean ?? null;
   }
 
@@ -344,7 +348,7 @@ export class CommandInteractionOptions {
    */
   getUser(name: string, required?: boolean): User | null {
     const option = this.options.find(o => o.name === name);
-    if (!option && required) throw new Error(`Required option "${name}" not found`);
+    if (!option && required) throw new JubbioError(ErrorCodes.InteractionOptionNotFound, [name], { locale: this.locale });
     if (!option) return null;
 
     const rawValue = String(option.value || '');
@@ -371,7 +375,7 @@ export class CommandInteractionOptions {
    */
   getUserId(name: string, required?: boolean): string | null {
     const option = this.options.find(o => o.name === name);
-    if (!option && required) throw new Error(`Required option "${name}" not found`);
+    if (!option && required) throw new JubbioError(ErrorCodes.InteractionOptionNotFound, [name], { locale: this.locale });
     if (!option) return null;
 
     const rawValue = String(option.value || '');
@@ -384,7 +388,7 @@ export class CommandInteractionOptions {
    */
   getChannel(name: string, required?: boolean): string | null {
     const option = this.options.find(o => o.name === name);
-    if (!option && required) throw new Error(`Required option "${name}" not found`);
+    if (!option && required) throw new JubbioError(ErrorCodes.InteractionOptionNotFound, [name], { locale: this.locale });
     return option?.value as string || null;
   }
 
@@ -393,7 +397,7 @@ export class CommandInteractionOptions {
    */
   getSubcommand(required?: boolean): string | null {
     const option = this.options.find(o => o.type === 1);
-    if (!option && required) throw new Error('Required subcommand not found');
+    if (!option && required) throw new JubbioError(ErrorCodes.InteractionSubcommandNotFound, [], { locale: this.locale });
     return option?.name || null;
   }
 
@@ -420,7 +424,7 @@ export class AutocompleteInteraction extends Interaction {
   constructor(client: Client, data: APIInteraction) {
     super(client, data);
     this.commandName = data.data?.name || '';
-    this.options = new CommandInteractionOptions(data.data?.options || [], data.data?.resolved);
+    this.options = new CommandInteractionOptions(data.data?.options || [], data.data?.resolved, client.options.locale);
   }
 
   /**
@@ -606,7 +610,7 @@ export interface InteractionReplyOptions {
   embeds?: (APIEmbed | EmbedBuilder)[];
   components?: any[];
   ephemeral?: boolean;
-  files?: Array<{ name: string; data: Buffer; contentType?: string }>;
+  files?: FileResolvable[];
 }
 
 export interface AutocompleteChoice {
@@ -0,0 +1,89 @@
+import { APIInvite } from '../types';
+import { User } from './User';
+import type { Client } from '../Client';
+import type { Guild } from './Guild';
+
+/**
+ * Represents a channel invite
+ */
+export class Invite {
+  /** Reference to the client */
+  public readonly client: Client;
+
+  /** Invite code */
+  public readonly code: string;
+
+  /** Channel the invite leads to */
+  public readonly channelId: string;
+
+  /** Guild the invite leads to */
+  public readonly guildId?: string;
+
+  /** User who created the invite */
+  public readonly inviter?: User;
+
+  /** How long the invite is valid in seconds (0 for forever) */
+  public readonly maxAge?: number;
+
+  /** Maximum number of uses (0 for unlimited) */
+  public readonly maxUses?: number;
+
+  /** Number of times the invite has been used */
+  public readonly uses?: number;
+
+  /** Whether the invite grants temporary membership */
+  public readonly temporary?: boolean;
+
+  /** Creation timestamp */
+  public readonly createdTimestamp?: number;
+
+  constructor(client: Client, data: APIInvite) {
+    this.client = client;
+    this.code = data.code;
+    this.channelId = String(data.channel_id);
+    this.guildId = data.guild_id !== undefined ? String(data.guild_id) : undefined;
+    this.inviter = data.inviter ? new User(data.inviter) : undefined;
+    this.maxAge = data.max_age;
+    this.maxUses = data.max_uses;
+    this.uses = data.uses;
+    this.temporary = data.temporary;
+    this.createdTimestamp = data.created_at ? new Date(data.created_at).getTime() : undefined;
+  }
+
+  /**
+   * The guild the invite leads to (if cached)
+   */
+  get guild(): Guild | null {
+    return this.guildId ? this.client.guilds.get(this.guildId) ?? null : null;
+  }
+
+  /**
+   * When the invite expires (ms), null if it never does or the creation time is unknown
+   */
+  get expiresTimestamp(): number | null {
+    if (!this.maxAge || this.createdTimestamp === undefined) return null;
+    return this.createdTimestamp + this.maxAge * 1000;
+  }
+
+  /**
+   * When the invite expires
+   */
+  get expiresAt(): Date | null {
+    const timestamp = this.expiresTimestamp;
+    return timestamp === null ? null : new Date(timestamp);
+  }
+
+  /**
+   * Invite URL
+   */
+  get url(): string {
+    return `https://jubbio.com/invite/${this.code}`;
+  }
+
+  /**
+   * Convert to string (invite URL)
+   */
+  toString(): string {
+    return this.url;
+  }
+}
@@ -6,6 +6,8 @@ import type { MessageCreateOptions } from './Channel';
 import { Collection } from './Collection';
 import { InteractionCollector, InteractionCollectorOptions } from '../utils/Collector';
 import { EmbedBuilder } from '../builders/EmbedBuilder';
+import { ReactionManager } from '../managers/ReactionManager';
+import { GatewayIntentBits } from '../enums';
 
 /** Backend flat embed format (for normalization) */
 /** Resolve EmbedBuilder instances to plain API objects */
@@ -70,6 +72,14 @@ export interface MessageMentions {
   everyone?: boolean;
 }
 
+/**
+ * A message only known by its ID, e.g. one that was deleted before it could be cached
+ */
+export type PartialMessage = Omit<Message, 'author' | 'partial'> & {
+  readonly author: null;
+  readonly partial: true;
+};
+
 /**
  * Represents a message
  */
@@ -86,8 +96,8 @@ export class Message {
   /** Guild ID (if in a guild) */
   public readonly guildId?: string;
   
-  /** Message author */
-  public readonly author: User;
+  /** Message author, null for partial messages */
+  public readonly author: User | null;
   
   /** Message content */
   public content: string;
@@ -116,12 +126,19 @@ export class Message {
   /** Guild member (if in a guild) */
   public member?: GuildMember;
 
+  /** Whether this message was built from incomplete data (e.g. a delete event) */
+  public readonly partial: boolean;
+
+  /** Reactions on this message */
+  public readonly reactions: ReactionManager;
+
   constructor(client: Client, data: APIMessage) {
     this.client = client;
     this.id = data.id;
     this.channelId = data.channel_id;
     this.guildId = data.guild_id;
-    this.author = new User(data.author);
+    this.partial = !data.author;
+    this.author = data.author ? new User(data.author) : null;
     this.content = data.content ?? '';
     
     // Handle different timestamp formats from backend
@@ -141,6 +158,22 @@ export class Message {
     
     this.mentions = (data as any).mentions || {};
     this.user_id = (data as any).user_id;
+    this.reactions = new ReactionManager(client, this, data.reactions);
+  }
+
+  /**
+   * Whether `content` is empty on purpose: the client lacks the privileged MessageContent
+   * intent, so the gateway strips it from guild messages that don't mention the bot
+   */
+  get contentOmitted(): boolean {
+    if (this.content || this.partial || !this.guildId) return false;
+    if (this.client.hasIntent(GatewayIntentBits.MessageContent)) return false;
+
+    const selfId = this.client.user?.id;
+    if (selfId && (this.author?.id === selfId || this.mentions.users?.some(user => String(user.id) === selfId))) {
+      return false;
+    }
+    return true;
   }
 
   /**
@@ -161,7 +194,8 @@ export class Message {
             const content = typeof options === 'string' ? options : options.content;
             const embeds = typeof options === 'string' ? undefined : resolveEmbeds(options.embeds);
             const components = typeof options === 'string' ? undefined : serializeComponents(options.components);
-            const data = await this.client.rest.createMessage(this.guildId!, this.channelId, { content, embeds, components });
+            const files = typeof options === 'string' ? undefined : options.files;
+            const data = await this.client.rest.createMessage(this.guildId!, this.channelId, { content, embeds, components, files });
             return new Message(this.client, data);
           },
           toString: () => `<#${this.channelId}>`,
@@ -177,7 +211,8 @@ export class Message {
         const content = typeof options === 'string' ? options : options.content;
         const embeds = typeof options === 'string' ? undefined : resolveEmbeds(options.embeds);
         const components = typeof options === 'string' ? undefined : serializeComponents(options.components);
-        const data = await this.client.rest.createMessage(this.guildId || '', this.channelId, { content, embeds, components });
+        const files = typeof options === 'string' ? undefined : options.files;
+        const data = await this.client.rest.createMessage(this.guildId || '', this.channelId, { content, embeds, components, files });
         return new Message(this.client, data);
       },
       toString: () => `<#${this.channelId}>`,
@@ -214,11 +249,13 @@ export class Message {
     const content = typeof options === 'string' ? options : options.content;
     const embeds = typeof options === 'string' ? undefined : resolveEmbeds(options.embeds);
     const components = typeof options === 'string' ? undefined : serializeComponents(options.components);
+    const files = typeof options === 'string' ? undefined : options.files;
     
     const data = await this.client.rest.createMessage(this.guildId || '', this.channelId, {
       content,
       embeds,
       components,
+      files,
       message_reference: { message_id: this.id }
     });
     
@@ -242,6 +279,14 @@ export class Message {
     return new Message(this.client, data);
   }
 
+  /**
+   * Fetch this message from the API (hydrates partial messages)
+   * Returns the fetched, cached message
+   */
+  async fetch(force = true): Promise<Message> {
+    return this.client._getMessageManager(this.channelId, this.guildId).fetch(this.id, { force });
+  }
+
   /**
    * Delete this message
    */
@@ -306,4 +351,34 @@ export class Message {
   toString(): string {
     return this.content;
   }
+
+  /**
+   * Copy used to keep the previous state for update events.
+   * Reactions are counted in place, so the copy gets its own reactions.
+   * @internal
+   */
+  _clone(): Message {
+    const clone: Message = Object.create(Object.getPrototypeOf(this));
+    const reactions = this.reactions._clone();
+    for (const [key, reaction] of reactions.cache) {
+      reactions.cache.set(key, Object.assign(Object.create(Object.getPrototypeOf(reaction)), reaction, {
+        message: clone,
+        users: reaction.users._clone(),
+      }));
+    }
+    return Object.assign(clone, this, { reactions });
+  }
+
+  /**
+   * Update message data (MESSAGE_UPDATE may only contain the changed fields)
+   */
+  _patch(data: Partial<APIMessage>): void {
+    if (data.content !== undefined) this.content = data.content ?? '';
+    const editedTimestamp = data.edited_timestamp || (data as any).updated_at;
+    if (editedTimestamp) this.editedTimestamp = new Date(editedTimestamp).getTime();
+    if (data.attachments !== undefined) this.attachments = data.attachments;
+    if (data.embeds !== undefined) this.embeds = data.embeds.map(normalizeEmbed);
+    if ((data as any).components !== undefined) this.components = (data as any).components;
+    if ((data as any).mentions !== undefined) this.mentions = (data as any).mentions;
+  }
 }
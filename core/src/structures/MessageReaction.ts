@@ -0,0 +1,107 @@
+import { APIEmoji, APIReaction } from '../types';
+import { ReactionUserManager } from '../managers/ReactionUserManager';
+import type { Client } from '../Client';
+import type { Message, PartialMessage } from './Message';
+import type { User } from './User';
+
+/**
+ * Represents a reaction on a message
+ */
+export class MessageReaction {
+  /** Reference to the client */
+  public readonly client: Client;
+
+  /** The message this reaction is on */
+  public readonly message: Message | PartialMessage;
+
+  /** The reacted emoji */
+  public readonly emoji: APIEmoji;
+
+  /** Number of users who reacted (null if the message isn't cached) */
+  public count: number | null;
+
+  /** Whether the bot reacted */
+  public me: boolean;
+
+  /** Users who reacted (cache + fetching) */
+  public readonly users: ReactionUserManager;
+
+  constructor(client: Client, data: APIReaction | { emoji: APIEmoji; count: number | null; me?: boolean }, message: Message | PartialMessage) {
+    this.client = client;
+    this.message = message;
+    this.emoji = {
+      id: data.emoji.id != null ? String(data.emoji.id) : null,
+      name: data.emoji.name,
+      animated: data.emoji.animated ?? false,
+    };
+    this.count = data.count;
+    this.me = data.me ?? false;
+    this.users = new ReactionUserManager(client, this);
+  }
+
+  /**
+   * Key of the reaction in the message's reaction cache
+   */
+  get key(): string {
+    return MessageReaction.keyOf(this.emoji);
+  }
+
+  /**
+   * Emoji in the format used by the REST API (:name:, <:name:id> or <a:name:id>)
+   */
+  get identifier(): string {
+    const name = this.emoji.name ?? '';
+    if (this.emoji.id) {
+      return `<${this.emoji.animated ? 'a' : ''}:${name.replace(/:/g, '')}:${this.emoji.id}>`;
+    }
+    return /^:\w+:$/.test(name) ? name : `:${name}:`;
+  }
+
+  /**
+   * Whether the reaction is partial (uncached message or unknown count)
+   */
+  get partial(): boolean {
+    return this.message.partial || this.count === null;
+  }
+
+  /**
+   * Fetch the message and return this reaction with up-to-date counts
+   */
+  async fetch(): Promise<MessageReaction> {
+    const message = await this.message.fetch();
+    const existing = message.reactions.cache.get(this.key);
+    if (existing) return existing;
+
+    // Nobody reacts with this emoji anymore
+    return message.reactions._add({ emoji: this.emoji, count: 0, me: false }, false);
+  }
+
+  /**
+   * Remove a user's reaction (the bot's own reaction by default)
+   */
+  async remove(user?: User | string): Promise<MessageReaction> {
+    const userId = typeof user === 'string' ? user : user?.id;
+    const { guildId, channelId, id } = this.message;
+
+    if (!userId || userId === this.client.user?.id) {
+      await this.client.rest.removeReaction(guildId || '', channelId, id, this.identifier);
+    } else {
+      await this.client.rest.removeUserReaction(guildId || '', channelId, id, this.identifier, userId);
+    }
+    return this;
+  }
+
+  /**
+   * Convert to string (emoji)
+   */
+  toString(): string {
+    return this.identifier;
+  }
+
+  /**
+   * Cache key for an emoji: the ID for custom emojis, the name otherwise
+   */
+  static keyOf(emoji: APIEmoji): string {
+    return emoji.id != null ? String(emoji.id) : (emoji.name ?? '');
+  }
+}
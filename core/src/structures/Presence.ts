@@ -0,0 +1,54 @@
+import { APIPresence } from '../types';
+import type { Client } from '../Client';
+import type { GuildMember } from './GuildMember';
+import type { User } from './User';
+
+/**
+ * Represents a user's presence in a guild
+ */
+export class Presence {
+  /** Reference to the client */
+  public readonly client: Client;
+
+  /** ID of the user */
+  public readonly userId: string;
+
+  /** Guild the presence was received for */
+  public readonly guildId?: string;
+
+  /** Online status */
+  public readonly status: string;
+
+  /** Current activities */
+  public readonly activities: NonNullable<APIPresence['activities']>;
+
+  /** Status per client platform */
+  public readonly clientStatus: APIPresence['client_status'] | null;
+
+  /** When the presence was received (ms) */
+  public readonly lastModified: number = Date.now();
+
+  constructor(client: Client, data: APIPresence) {
+    this.client = client;
+    this.userId = String(data.user.id);
+    this.guildId = data.guild_id !== undefined ? String(data.guild_id) : undefined;
+    this.status = data.status ?? 'offline';
+    this.activities = data.activities ?? [];
+    this.clientStatus = data.client_status ?? null;
+  }
+
+  /**
+   * The user (if cached)
+   */
+  get user(): User | null {
+    return this.client.users.get(this.userId) ?? null;
+  }
+
+  /**
+   * The guild member (if cached)
+   */
+  get member(): GuildMember | null {
+    if (!this.guildId) return null;
+    return this.client.guilds.get(this.guildId)?.members.get(this.userId) ?? null;
+  }
+}
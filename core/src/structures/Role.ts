@@ -0,0 +1,155 @@
+import { APIRole } from '../types';
+import { Permissions } from './GuildMember';
+import { SnowflakeUtil } from '../utils/SnowflakeUtil';
+import type { Client } from '../Client';
+import type { Guild } from './Guild';
+import type { RoleEditOptions } from '../managers/RoleManager';
+
+/**
+ * Represents a guild role
+ */
+export class Role {
+  /** Reference to the client */
+  public readonly client: Client;
+
+  /** Role ID */
+  public readonly id: string;
+
+  /** ID of the guild this role belongs to */
+  public readonly guildId: string;
+
+  /** Role name */
+  public name: string;
+
+  /** Role color */
+  public color: number;
+
+  /** Whether the role is displayed separately in the member list */
+  public hoist: boolean;
+
+  /** Position in the role list */
+  public position: number;
+
+  /** Role permissions */
+  public permissions: Permissions;
+
+  /** Whether the role is managed by an integration */
+  public managed: boolean;
+
+  /** Whether the role can be mentioned */
+  public mentionable: boolean;
+
+  /** Role icon */
+  public icon: string | null;
+
+  /** Role unicode emoji */
+  public unicodeEmoji: string | null;
+
+  /** Whether only the ID is known (an uncached role, with Partials.Role) */
+  public readonly partial: boolean;
+
+  constructor(client: Client, guildId: string, data: APIRole) {
+    this.client = client;
+    this.id = String(data.id);
+    this.guildId = String(guildId);
+    this.partial = data.name === undefined;
+    this.name = data.name;
+    this.color = data.color ?? 0;
+    this.hoist = data.hoist ?? false;
+    this.position = data.position ?? 0;
+    this.permissions = new Permissions(data.permissions || '0');
+    this.managed = data.managed ?? false;
+    this.mentionable = data.mentionable ?? false;
+    this.icon = data.icon ?? null;
+    this.unicodeEmoji = data.unicode_emoji ?? null;
+  }
+
+  /**
+   * The guild this role belongs to (if cached)
+   */
+  get guild(): Guild | null {
+    return this.client.guilds.get(this.guildId) ?? null;
+  }
+
+  /**
+   * Color as a hex string
+   */
+  get hexColor(): string {
+    return `#${this.color.toString(16).padStart(6, '0')}`;
+  }
+
+  /**
+   * When the role was created
+   */
+  get createdAt(): Date {
+    return new Date(SnowflakeUtil.timestampFrom(this.id));
+  }
+
+  /**
+   * Compare this role's position to another role
+   */
+  comparePositionTo(role: Role | { position: number }): number {
+    return this.position - (role?.position ?? 0);
+  }
+
+  /**
+   * Edit this role
+   */
+  async edit(data: RoleEditOptions): Promise<Role> {
+    return this.manager().edit(this.id, data);
+  }
+
+  /**
+   * Delete this role
+   */
+  async delete(reason?: string): Promise<void> {
+    await this.manager().delete(this.id, reason);
+  }
+
+  /**
+   * Move this role to a new position
+   */
+  async setPosition(position: number): Promise<Role> {
+    await this.manager().setPositions([{ role: this.id, position }]);
+    return this;
+  }
+
+  /**
+   * Convert to string (mention format)
+   */
+  toString(): string {
+    return this.id === this.guildId ? '@everyone' : `<@&${this.id}>`;
+  }
+
+  /**
+   * Copy used to keep the previous state for update events
+   * @internal
+   */
+  _clone(): Role {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+  }
+
+  /**
+   * Update role data
+   */
+  _patch(data: Partial<APIRole>): void {
+    if (data.name !== undefined) this.name = data.name;
+    if (data.color !== undefined) this.color = data.color;
+    if (data.hoist !== undefined) this.hoist = data.hoist;
+    if (data.position !== undefined) this.position = data.position;
+    if (data.permissions !== undefined) this.permissions = new Permissions(data.permissions);
+    if (data.managed !== undefined) this.managed = data.managed;
+    if (data.mentionable !== undefined) this.mentionable = data.mentionable;
+    if (data.icon !== undefined) this.icon = data.icon;
+    if (data.unicode_emoji !== undefined) this.unicodeEmoji = data.unicode_emoji;
+  }
+
+  /**
+   * Role manager of the guild, required for API calls
+   */
+  private manager() {
+    const guild = this.guild;
+    if (!guild) throw new Error(`Guild ${this.guildId} is not cached`);
+    return guild.roles;
+  }
+}
@@ -0,0 +1,57 @@
+import type { Client } from '../Client';
+import type { Guild } from './Guild';
+import type { GuildMember } from './GuildMember';
+import type { User } from './User';
+
+/**
+ * Represents a user typing in a channel
+ */
+export class Typing {
+  /** Reference to the client */
+  public readonly client: Client;
+
+  /** Channel the user is typing in */
+  public readonly channelId: string;
+
+  /** Guild the channel belongs to */
+  public readonly guildId?: string;
+
+  /** The typing user */
+  public readonly user: User;
+
+  /** The typing member (guild channels only) */
+  public readonly member?: GuildMember;
+
+  /** When the user started typing */
+  public readonly startedTimestamp: number;
+
+  constructor(client: Client, data: {
+    channelId: string;
+    guildId?: string;
+    user: User;
+    member?: GuildMember;
+    timestamp?: number;
+  }) {
+    this.client = client;
+    this.channelId = data.channelId;
+    this.guildId = data.guildId;
+    this.user = data.user;
+    this.member = data.member;
+    // Gateway sends unix seconds
+    this.startedTimestamp = data.timestamp ? data.timestamp * 1000 : Date.now();
+  }
+
+  /**
+   * The guild the channel belongs to (if cached)
+   */
+  get guild(): Guild | null {
+    return this.guildId ? this.client.guilds.get(this.guildId) ?? null : null;
+  }
+
+  /**
+   * When the user started typing
+   */
+  get startedAt(): Date {
+    return new Date(this.startedTimestamp);
+  }
+}
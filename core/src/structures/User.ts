@@ -19,9 +19,13 @@ export class User {
   /** Whether this is a bot */
   public bot: boolean;
 
+  /** Whether only the ID is known (an uncached user, with Partials.User) */
+  public readonly partial: boolean;
+
   constructor(data: APIUser) {
     // Handle both string and number IDs (snowflake precision issue)
     this.id = String(data.id);
+    this.partial = !data.username;
     this.username = data.username || `User_${this.id}`;
     this.displayName = data.display_name;
     this.avatarURL = data.avatar_url;
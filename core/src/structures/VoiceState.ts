@@ -0,0 +1,62 @@
+import { APIVoiceState } from '../types';
+import type { Client } from '../Client';
+import type { Guild } from './Guild';
+import type { GuildMember } from './GuildMember';
+
+/**
+ * Represents a member's voice connection state
+ */
+export class VoiceState {
+  /** Reference to the client */
+  public readonly client: Client;
+
+  /** ID of the guild */
+  public readonly guildId: string;
+
+  /** ID of the user */
+  public readonly userId: string;
+
+  /** Voice channel the user is in (undefined when not connected) */
+  public readonly channelId?: string;
+
+  /** Voice session ID */
+  public readonly sessionId?: string;
+
+  /** Whether the user muted themselves */
+  public readonly selfMute: boolean;
+
+  /** Whether the user deafened themselves */
+  public readonly selfDeaf: boolean;
+
+  /** Whether the user is muted by the server */
+  public readonly serverMute: boolean;
+
+  /** Whether the user is deafened by the server */
+  public readonly serverDeaf: boolean;
+
+  constructor(client: Client, data: Partial<APIVoiceState> & { guild_id: string; user_id: string }) {
+    this.client = client;
+    this.guildId = String(data.guild_id);
+    this.userId = String(data.user_id);
+    this.channelId = data.channel_id ? String(data.channel_id) : undefined;
+    this.sessionId = data.session_id;
+    this.selfMute = data.self_mute ?? false;
+    this.selfDeaf = data.self_deaf ?? false;
+    this.serverMute = data.mute ?? false;
+    this.serverDeaf = data.deaf ?? false;
+  }
+
+  /**
+   * The guild (if cached)
+   */
+  get guild(): Guild | null {
+    return this.client.guilds.get(this.guildId) ?? null;
+  }
+
+  /**
+   * The member (if cached)
+   */
+  get member(): GuildMember | null {
+    return this.guild?.members.get(this.userId) ?? null;
+  }
+}
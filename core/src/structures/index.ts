@@ -1,8 +1,16 @@
 export * from './User';
+export * from './ClientUser';
 export * from './Guild';
 export * from './Channel';
 export * from './Message';
 export * from './Interaction';
 export * from './GuildMember';
+export * from './Role';
+export * from './GuildBan';
+export * from './Invite';
+export * from './Typing';
+export * from './Presence';
+export * from './VoiceState';
+export * from './MessageReaction';
 export * from './Collection';
 // Collector is exported from utils
@@ -1,4 +1,28 @@
-import { GatewayIntentBits, InteractionType, ApplicationCommandType, ChannelType } from './enums';
+import { GatewayIntentBits, InteractionType, ApplicationCommandType, ChannelType, ActivityType, PresenceStatus } from './enums';
+import type { Client } from './Client';
+import type { Collection } from './structures/Collection';
+import type { Guild } from './structures/Guild';
+import type { GuildMember } from './structures/GuildMember';
+import type { Message, PartialMessage } from './structures/Message';
+import type { BaseChannel } from './structures/Channel';
+import type { Interaction } from './structures/Interaction';
+import type { Role } from './structures/Role';
+import type { User } from './structures/User';
+import type { MessageReaction } from './structures/MessageReaction';
+import type { GuildBan } from './structures/GuildBan';
+import type { Invite } from './structures/Invite';
+import type { Typing } from './structures/Typing';
+import type { Presence } from './structures/Presence';
+import type { VoiceState } from './structures/VoiceState';
+import type { GuildMembersChunk } from './managers/GuildMemberManager';
+import type { Partials } from './utils/Partials';
+import type { SweeperDefinitions } from './utils/Sweepers';
+import type { CacheFactory } from './utils/LimitedCollection';
+import type { CacheAdapter } from './utils/CacheAdapter';
+import type { ErrorLocale } from './errors/Messages';
+import type { Logger, LogRedactionOptions } from './utils/Logger';
+import type { RESTOptions, RESTRetryData, UploadProgressData } from './rest/REST';
+import type { RateLimitData } from './rest/RateLimitManager';
 
 /**
  * Client options
@@ -12,6 +36,120 @@ export interface ClientOptions {
   gatewayUrl?: string;
   /** API URL override */
   apiUrl?: string;
+  /** REST client options (rate limits, retries, timeout); logging and locale come from the options above */
+  rest?: Omit<RESTOptions, 'logger' | 'logRedaction' | 'locale'>;
+  /** Gateway reconnect policy */
+  reconnect?: ReconnectOptions;
+  /** Presence sent with Identify and re-applied after reconnects */
+  presence?: PresenceData;
+  /** Gateway transport compression, plain JSON frames when not set */
+  compress?: GatewayCompression;
+  /** Messages cached per channel, least recently used are evicted first (default 200, 0 disables; replaced by a makeCache MessageManager cache) */
+  messageCacheSize?: number;
+  /** Emit events for uncached entities as partial structures (dropped otherwise) */
+  partials?: Partials[];
+  /** Periodically remove entries from caches, started after READY */
+  sweepers?: SweeperDefinitions;
+  /** Builds the store of each cache (client.guilds/channels/users and every manager), e.g. with cacheWithLimits() */
+  makeCache?: CacheFactory;
+  /** External store for guilds, channels, users, roles and members (takes precedence over makeCache for those) */
+  cacheAdapter?: CacheAdapter;
+  /** Throw instead of warning when a listener is added for an event the intents don't cover */
+  strictIntents?: boolean;
+  /** Language of the error messages (default 'en') */
+  locale?: ErrorLocale;
+  /** Receives the client, gateway and REST logs including `debug` events (default: nothing is logged) */
+  logger?: Logger;
+  /** What is hidden from the logs (default: the token and payloads) */
+  logRedaction?: LogRedactionOptions;
+}
+
+/**
+ * Supported gateway transport compression
+ */
+export type GatewayCompression = 'zlib-stream';
+
+/**
+ * Bot activity
+ */
+export interface ActivityOptions {
+  /** Activity name, e.g. the game being played */
+  name: string;
+  /** Activity type (default Playing) */
+  type?: ActivityType;
+  /** Stream URL, only used with ActivityType.Streaming */
+  url?: string;
+  /** Custom status text */
+  state?: string;
+}
+
+/**
+ * Bot presence
+ */
+export interface PresenceData {
+  /** Online status */
+  status?: PresenceStatus | `${PresenceStatus}`;
+  /** Activities to show, an empty array clears them */
+  activities?: ActivityOptions[];
+  /** Whether the bot is AFK */
+  afk?: boolean;
+  /** Unix time in ms since the bot went idle */
+  since?: number | null;
+}
+
+/**
+ * Jitter applied to the reconnect backoff
+ * - `none`: plain exponential backoff
+ * - `full`: random delay between 0 and the exponential delay
+ * - `equal`: half the exponential delay plus a random half
+ * - `decorrelated`: random delay between the base delay and 3x the previous delay
+ */
+export type ReconnectJitter = 'none' | 'full' | 'equal' | 'decorrelated';
+
+/**
+ * Gateway reconnect policy
+ */
+export interface ReconnectOptions {
+  /** Maximum consecutive reconnect attempts, `Infinity` to never give up (default 5) */
+  maxAttempts?: number;
+  /** Delay before the first attempt in ms, doubled on each attempt (default 1000) */
+  baseDelay?: number;
+  /** Upper bound for the backoff delay in ms (default 30000) */
+  maxDelay?: number;
+  /** Jitter strategy (default 'none') */
+  jitter?: ReconnectJitter;
+  /** Decide whether to reconnect after the socket closed with the given code; replaces the built-in check */
+  shouldReconnect?: (code: number, reason: string) => boolean;
+  /** Time login() waits for READY across all attempts in ms, 0 to wait as long as attempts go on (default 30000, 0 when maxAttempts is Infinity) */
+  readyTimeout?: number;
+}
+
+/**
+ * Payload of the `shardDisconnect` event
+ */
+export interface ShardDisconnectEvent {
+  shardId: number;
+  /** WebSocket close code */
+  code: number;
+  /** Close reason sent by the server (may be empty) */
+  reason: string;
+  /** Whether the client will try to reconnect */
+  reconnecting: boolean;
+}
+
+/**
+ * Payload of the `shardReconnecting` event
+ */
+export interface ShardReconnectingEvent {
+  shardId: number;
+  /** Attempt number, starting at 1 */
+  attempt: number;
+  /** Configured maximum attempts (may be Infinity) */
+  maxAttempts: number;
+  /** Delay in ms before this attempt connects */
+  delay: number;
+  /** Close code that triggered the reconnect */
+  code: number;
 }
 
 /**
@@ -36,6 +174,7 @@ export interface APIGuild {
   member_count?: number;
   unavailable?: boolean;
   channels?: APIChannel[];
+  roles?: APIRole[];
 }
 
 /**
@@ -65,6 +204,37 @@ export interface APIMessage {
   edited_timestamp?: string;
   attachments?: APIAttachment[];
   embeds?: APIEmbed[];
+  reactions?: APIReaction[];
+}
+
+/**
+ * Emoji structure (custom emojis have an ID)
+ */
+export interface APIEmoji {
+  id?: string | null;
+  name: string | null;
+  animated?: boolean;
+}
+
+/**
+ * Reaction summary on a message
+ */
+export interface APIReaction {
+  emoji: APIEmoji;
+  count: number;
+  me?: boolean;
+}
+
+/**
+ * Reaction gateway event data (MESSAGE_REACTION_ADD / MESSAGE_REACTION_REMOVE)
+ */
+export interface APIReactionEvent {
+  user_id: string;
+  channel_id: string;
+  message_id: string;
+  guild_id?: string;
+  member?: APIGuildMember;
+  emoji: APIEmoji;
 }
 
 /**
@@ -179,6 +349,10 @@ export interface APIRole {
   position: number;
   permissions: string;
   mentionable: boolean;
+  hoist?: boolean;
+  managed?: boolean;
+  icon?: string | null;
+  unicode_emoji?: string | null;
 }
 
 /**
@@ -205,6 +379,32 @@ export interface APIVoiceServerUpdate {
   room?: string;
 }
 
+/**
+ * Invite structure (INVITE_CREATE / INVITE_DELETE)
+ */
+export interface APIInvite {
+  code: string;
+  channel_id: string;
+  guild_id?: string;
+  inviter?: APIUser;
+  max_age?: number;
+  max_uses?: number;
+  uses?: number;
+  temporary?: boolean;
+  created_at?: string;
+}
+
+/**
+ * Presence update structure
+ */
+export interface APIPresence {
+  user: { id: string };
+  guild_id?: string;
+  status?: string;
+  activities?: Array<{ name: string; type: ActivityType; url?: string; state?: string }>;
+  client_status?: { desktop?: string; mobile?: string; web?: string };
+}
+
 /**
  * Application command structure
  */
@@ -251,6 +451,70 @@ export interface ReadyEventData {
   user: APIUser;
   guilds: APIGuild[];
   session_id: string;
+  /** Gateway URL to use when resuming this session (if provided by the server) */
+  resume_gateway_url?: string;
   shard?: [number, number];
   application: { id: string };
 }
+
+/**
+ * Middleware run before the listeners of a gateway event (see Client#use).
+ * Call `next()` to continue with the next middleware and then the listeners; return without
+ * calling it to drop the event. `args` are the listener arguments and can be changed in place.
+ */
+export type ClientMiddleware = (
+  eventName: keyof ClientEvents,
+  args: any[],
+  next: () => Promise<void>
+) => unknown | Promise<unknown>;
+
+/**
+ * Client events mapped to their listener arguments
+ */
+export interface ClientEvents {
+  ready: [client: Client];
+  resumed: [replayedEvents: number];
+  error: [error: Error];
+  debug: [message: string];
+  warn: [message: string];
+  unhandledListenerError: [error: unknown, eventName: keyof ClientEvents];
+  rateLimited: [data: RateLimitData];
+  restRetry: [data: RESTRetryData];
+  uploadProgress: [data: UploadProgressData];
+  cacheSweep: [cache: keyof SweeperDefinitions, swept: number];
+  raw: [packet: { t: string; d: any }];
+  gatewayClose: [code: number, reason: string];
+  shardResume: [shardId: number, replayedEvents: number];
+  shardDisconnect: [event: ShardDisconnectEvent];
+  shardReconnecting: [event: ShardReconnectingEvent];
+  guildCreate: [guild: Guild];
+  guildUpdate: [oldGuild: Guild, newGuild: Guild];
+  guildDelete: [guild: Guild];
+  guildMembersChunk: [members: Collection<string, GuildMember>, guild: Guild, chunk: GuildMembersChunk];
+  guildMemberAdd: [member: GuildMember];
+  guildMemberUpdate: [oldMember: GuildMember, newMember: GuildMember];
+  guildMemberRemove: [member: GuildMember];
+  guildBanAdd: [ban: GuildBan];
+  guildBanRemove: [ban: GuildBan];
+  messageCreate: [message: Message];
+  messageUpdate: [oldMessage: Message | PartialMessage, newMessage: Message];
+  messageDelete: [message: Message | PartialMessage];
+  messageDeleteBulk: [messages: Collection<string, Message | PartialMessage>];
+  channelCreate: [channel: BaseChannel];
+  channelUpdate: [oldChannel: BaseChannel, newChannel: BaseChannel];
+  channelDelete: [channel: BaseChannel];
+  roleCreate: [role: Role];
+  roleUpdate: [oldRole: Role, newRole: Role];
+  roleDelete: [role: Role];
+  inviteCreate: [invite: Invite];
+  inviteDelete: [invite: Invite];
+  typingStart: [typing: Typing];
+  presenceUpdate: [presence: Presence];
+  messageReactionAdd: [reaction: MessageReaction, user: User];
+  messageReactionRemove: [reaction: MessageReaction, user: User];
+  messageReactionRemoveAll: [message: Message | PartialMessage, reactions: Collection<string, MessageReaction>];
+  messageReactionRemoveEmoji: [reaction: MessageReaction];
+  interactionCreate: [interaction: Interaction];
+  voiceStateUpdate: [oldState: VoiceState, newState: VoiceState];
+  voiceServerUpdate: [data: APIVoiceServerUpdate];
+}
@@ -0,0 +1,206 @@
+/**
+ * CacheAdapter - External stores for cached structures
+ */
+
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+/**
+ * An async key-value store the client caches can be backed by.
+ *
+ * Entries are grouped in namespaces (`guilds`, `users`, `channels`, `members:<guildId>`,
+ * `roles:<guildId>`) and values are plain JSON in API shape, so any store that can hold
+ * JSON (Redis, SQLite, a file) can be shared between restarts and processes.
+ */
+export interface CacheAdapter {
+  /** Read an entry, undefined if missing */
+  get(namespace: string, key: string): Promise<unknown | undefined>;
+  /** Create or replace an entry */
+  set(namespace: string, key: string, value: unknown): Promise<void>;
+  /** Remove an entry, resolves whether it existed */
+  delete(namespace: string, key: string): Promise<boolean>;
+  /** Iterate every entry of a namespace */
+  iterate(namespace: string): AsyncIterable<[string, unknown]>;
+  /** Remove every entry of a namespace */
+  clear(namespace: string): Promise<void>;
+}
+
+/**
+ * Reference adapter that keeps entries in process memory.
+ *
+ * Values are stored as JSON strings, the same round trip an external store goes through,
+ * so structures that don't serialize cleanly show up here first.
+ */
+export class MemoryCacheAdapter implements CacheAdapter {
+  private readonly namespaces: Map<string, Map<string, string>> = new Map();
+
+  async get(namespace: string, key: string): Promise<unknown | undefined> {
+    const raw = this.namespaces.get(namespace)?.get(key);
+    return raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  async set(namespace: string, key: string, value: unknown): Promise<void> {
+    let entries = this.namespaces.get(namespace);
+    if (!entries) {
+      entries = new Map();
+      this.namespaces.set(namespace, entries);
+    }
+    entries.set(key, JSON.stringify(value));
+  }
+
+  async delete(namespace: string, key: string): Promise<boolean> {
+    return this.namespaces.get(namespace)?.delete(key) ?? false;
+  }
+
+  async *iterate(namespace: string): AsyncIterableIterator<[string, unknown]> {
+    const entries = this.namespaces.get(namespace);
+    if (!entries) return;
+    for (const [key, raw] of [...entries]) {
+      yield [key, JSON.parse(raw)];
+    }
+  }
+
+  async clear(namespace: string): Promise<void> {
+    this.namespaces.delete(namespace);
+  }
+}
+
+/**
+ * Options for the file adapter
+ */
+export interface FileCacheAdapterOptions {
+  /** Directory holding one JSON file per namespace (created if missing) */
+  directory: string;
+  /** How long writes are batched before a namespace file is rewritten, in ms (default 1000) */
+  flushInterval?: number;
+}
+
+/**
+ * Adapter that persists each namespace as a JSON file in a directory.
+ *
+ * Namespaces are loaded on first use and kept in memory; writes are batched and the file
+ * is replaced atomically (write to a temporary file, then rename), so a crash never leaves
+ * a half-written file behind. Call `flush()` before exiting to write pending changes now.
+ */
+export class FileCacheAdapter implements CacheAdapter {
+  private readonly directory: string;
+  private readonly flushInterval: number;
+
+  /** Loaded namespaces */
+  private readonly namespaces: Map<string, Promise<Map<string, unknown>>> = new Map();
+
+  /** Namespaces changed since they were last written */
+  private readonly dirty: Set<string> = new Set();
+
+  /** Pending batched write */
+  private timer: NodeJS.Timeout | null = null;
+
+  /** Write in progress, writes never overlap */
+  private writing: Promise<void> = Promise.resolve();
+
+  constructor(options: FileCacheAdapterOptions) {
+    if (!options?.directory) {
+      throw new TypeError('FileCacheAdapter requires a directory');
+    }
+    this.directory = options.directory;
+    this.flushInterval = options.flushInterval ?? 1000;
+  }
+
+  async get(namespace: string, key: string): Promise<unknown | undefined> {
+    return (await this.load(namespace)).get(key);
+  }
+
+  async set(namespace: string, key: string, value: unknown): Promise<void> {
+    // Round trip through JSON so the stored value can't be mutated by the caller
+    (await this.load(namespace)).set(key, JSON.parse(JSON.stringify(value)));
+    this.markDirty(namespace);
+  }
+
+  async delete(namespace: string, key: string): Promise<boolean> {
+    const existed = (await this.load(namespace)).delete(key);
+    if (existed) this.markDirty(namespace);
+    return existed;
+  }
+
+  async *iterate(namespace: string): AsyncIterableIterator<[string, unknown]> {
+    const entries = await this.load(namespace);
+    for (const entry of [...entries]) {
+      yield entry;
+    }
+  }
+
+  async clear(namespace: string): Promise<void> {
+    (await this.load(namespace)).clear();
+    this.markDirty(namespace);
+  }
+
+  /**
+   * Write every changed namespace to disk now
+   */
+  async flush(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const namespaces = [...this.dirty];
+    this.dirty.clear();
+
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      for (const [index, namespace] of namespaces.entries()) {
+        try {
+          await fs.mkdir(this.directory, { recursive: true });
+          const entries = await this.load(namespace);
+          const file = this.fileOf(namespace);
+          const temp = `${file}.${process.pid}.tmp`;
+          await fs.writeFile(temp, JSON.stringify(Object.fromEntries(entries)));
+          await fs.rename(temp, file);
+        } catch (error) {
+          // Keep the unwritten namespaces dirty so the next flush retries them
+          for (const pending of namespaces.slice(index)) this.markDirty(pending);
+          throw error;
+        }
+      }
+    });
+    return this.writing;
+  }
+
+  /**
+   * Load a namespace from disk (once)
+   */
+  private load(namespace: string): Promise<Map<string, unknown>> {
+    let entries = this.namespaces.get(namespace);
+    if (!entries) {
+      entries = fs.readFile(this.fileOf(namespace), 'utf8').then(
+        (raw) => new Map(Object.entries(JSON.parse(raw))),
+        (error: NodeJS.ErrnoException) => {
+          if (error.code === 'ENOENT') return new Map();
+          throw error;
+        },
+      );
+      // Don't keep a failed load around, the next call retries
+      entries.catch(() => this.namespaces.delete(namespace));
+      this.namespaces.set(namespace, entries);
+    }
+    return entries;
+  }
+
+  private markDirty(namespace: string): void {
+    this.dirty.add(namespace);
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        // Failed namespaces are marked dirty again and retried on the next timer
+        this.flush().catch(() => {});
+      }, this.flushInterval);
+      // Pending writes don't keep the process alive, flush() before exiting to keep them
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * File of a namespace, with characters that aren't safe in file names replaced
+   */
+  private fileOf(namespace: string): string {
+    return path.join(this.directory, `${namespace.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * CacheSerializers - Convert cached structures back to API data for external stores
+ */
+
+import type { APIChannel, APIGuild, APIGuildMember, APIRole, APIUser } from '../types';
+import type { Guild } from '../structures/Guild';
+import type { GuildMember } from '../structures/GuildMember';
+import type { User } from '../structures/User';
+import type { Role } from '../structures/Role';
+import type { BaseChannel } from '../structures/Channel';
+import type { CacheManagerType } from './LimitedCollection';
+
+/**
+ * Serialize a user
+ */
+export function serializeUser(user: User): APIUser {
+  return {
+    id: user.id,
+    username: user.username,
+    display_name: user.displayName,
+    avatar_url: user.avatarURL,
+    bot: user.bot,
+  };
+}
+
+/**
+ * Serialize a guild
+ * Roles and members are stored in their own namespaces and left out.
+ */
+export function serializeGuild(guild: Guild): APIGuild {
+  return {
+    id: guild.id,
+    name: guild.name,
+    icon: guild.icon,
+    owner_id: guild.ownerId,
+    member_count: guild.memberCount,
+    unavailable: guild.unavailable,
+    channels: [...guild.channels.values()],
+  };
+}
+
+/**
+ * Serialize a guild member
+ */
+export function serializeGuildMember(member: GuildMember): APIGuildMember {
+  return {
+    user: serializeUser(member.user),
+    nick: member.nickname,
+    avatar: member.avatar,
+    roles: [...(member.roles ?? [])],
+    joined_at: member.partial ? '' : new Date(member.joinedTimestamp).toISOString(),
+    permissions: member.permissions.bits.toString(),
+    voice: {
+      channel_id: member.voice.channelId,
+      self_mute: member.voice.selfMute,
+      self_deaf: member.voice.selfDeaf,
+    },
+  };
+}
+
+/**
+ * Serialize a role
+ */
+export function serializeRole(role: Role): APIRole {
+  return {
+    id: role.id,
+    name: role.name,
+    color: role.color,
+    hoist: role.hoist,
+    position: role.position,
+    permissions: role.permissions.bits.toString(),
+    managed: role.managed,
+    mentionable: role.mentionable,
+    icon: role.icon,
+    unicode_emoji: role.unicodeEmoji,
+  };
+}
+
+/**
+ * Serialize a channel, keeping the type specific fields
+ */
+export function serializeChannel(channel: BaseChannel): APIChannel & Record<string, unknown> {
+  const data: APIChannel & Record<string, unknown> = { id: channel.id, type: channel.type };
+  const fields: Record<string, string> = {
+    guildId: 'guild_id',
+    name: 'name',
+    topic: 'topic',
+    position: 'position',
+    parentId: 'parent_id',
+    userLimit: 'user_limit',
+    bitrate: 'bitrate',
+    recipientId: 'recipient_id',
+  };
+  for (const [property, key] of Object.entries(fields)) {
+    const value = (channel as any)[property];
+    if (value !== undefined) data[key] = value;
+  }
+  return data;
+}
+
+/**
+ * Serializer of each cache that can be stored in a CacheAdapter
+ */
+export const CacheSerializers: Partial<Record<CacheManagerType, (value: any) => unknown>> = {
+  GuildManager: serializeGuild,
+  UserManager: serializeUser,
+  ChannelManager: serializeChannel,
+  GuildMemberManager: serializeGuildMember,
+  RoleManager: serializeRole,
+};
@@ -2,6 +2,14 @@
  * A Map with additional utility methods
  */
 export class Collection<K, V> extends Map<K, V> {
+  /**
+   * Discord.js compatibility — returns itself
+   * Allows client.guilds.cache.get() to work
+   */
+  get cache(): this {
+    return this;
+  }
+
   /**
    * Identical to Map.get()
    * Ensures the value exists
@@ -267,6 +275,13 @@ export class Collection<K, V> extends Map<K, V> {
     return this;
   }
 
+  /**
+   * Convert to array
+   */
+  toArray(): V[] {
+    return [...this.values()];
+  }
+
   /**
    * Returns an array of items
    */
@@ -351,24 +351,39 @@ export interface ReactionCollectorOptions extends CollectorOptions<any> {
 export class ReactionCollector extends Collector<string, any> {
   public readonly messageId: string;
   private readonly reactionHandler: (reaction: any) => void;
+  private readonly reactionRemoveHandler: (reaction: any) => void;
 
   constructor(client: any, messageId: string, options: ReactionCollectorOptions) {
     super(client, options);
     this.messageId = messageId;
     
     this.reactionHandler = (reaction: any) => {
-      if (reaction.message_id === this.messageId || reaction.messageId === this.messageId) {
+      if (this.isTarget(reaction)) {
         this.handleCollect(reaction);
       }
     };
+
+    this.reactionRemoveHandler = (reaction: any) => {
+      // Only dispose once nobody reacts with the emoji anymore
+      if (this.isTarget(reaction) && !reaction.count) {
+        this.handleDispose(reaction);
+      }
+    };
     
     client.on('messageReactionAdd', this.reactionHandler);
+    client.on('messageReactionRemove', this.reactionRemoveHandler);
     
     this.once('end', () => {
       client.removeListener('messageReactionAdd', this.reactionHandler);
+      client.removeListener('messageReactionRemove', this.reactionRemoveHandler);
     });
   }
 
+  private isTarget(reaction: any): boolean {
+    const messageId = reaction.message?.id ?? reaction.message_id ?? reaction.messageId;
+    return messageId === this.messageId;
+  }
+
   collect(reaction: any): string | null {
     // Key is emoji identifier
     return reaction.emoji?.id ?? reaction.emoji?.name ?? null;
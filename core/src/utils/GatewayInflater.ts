@@ -0,0 +1,86 @@
+/**
+ * GatewayInflater - Decompresses zlib-stream gateway traffic
+ */
+
+import * as zlib from 'zlib';
+
+/** Every complete zlib-stream message ends with the Z_SYNC_FLUSH marker */
+const ZLIB_SUFFIX = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+
+/**
+ * Inflates a zlib-stream gateway connection.
+ *
+ * The whole connection shares one zlib context, so a single inflater has to live for the
+ * lifetime of the socket and a new one is needed for every new connection. A message can be
+ * split over several frames; frames are buffered until they end with the Z_SYNC_FLUSH suffix.
+ */
+export class GatewayInflater {
+  /** Persistent inflate context */
+  private readonly inflate: zlib.Inflate;
+
+  /** Compressed frames waiting for the sync flush suffix */
+  private pending: Buffer[] = [];
+
+  /** Inflated output of the message being decompressed */
+  private output: Buffer[] = [];
+
+  /**
+   * @param onMessage - Receives each decompressed message
+   * @param onError - Receives inflate errors; the stream can't be used after one
+   */
+  constructor(
+    private readonly onMessage: (data: string) => void,
+    private readonly onError: (error: Error) => void,
+  ) {
+    this.inflate = zlib.createInflate({ chunkSize: 64 * 1024 });
+    this.inflate.on('data', (chunk: Buffer) => this.output.push(chunk));
+    this.inflate.on('error', (error) => this.onError(error));
+  }
+
+  /**
+   * Feed a binary frame from the socket
+   */
+  push(data: Buffer | ArrayBuffer | Buffer[]): void {
+    const frame = Array.isArray(data)
+      ? Buffer.concat(data)
+      : (Buffer.isBuffer(data) ? data : Buffer.from(data));
+    if (frame.length === 0) return;
+    this.pending.push(frame);
+
+    if (!this.endsWithSuffix()) return;
+
+    const input = this.pending.length === 1 ? frame : Buffer.concat(this.pending);
+    this.pending = [];
+
+    this.inflate.write(input);
+    // Flush callbacks run in write order, after the inflated data has been emitted
+    this.inflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+      if (this.output.length === 0) return;
+      const message = Buffer.concat(this.output).toString('utf8');
+      this.output = [];
+      this.onMessage(message);
+    });
+  }
+
+  /**
+   * Whether the buffered frames end with the sync flush suffix, which can itself be split over frames
+   */
+  private endsWithSuffix(): boolean {
+    const last = this.pending[this.pending.length - 1];
+    // Frames are never empty, so the last four hold the whole suffix
+    const tail = last.length >= ZLIB_SUFFIX.length ? last : Buffer.concat(this.pending.slice(-ZLIB_SUFFIX.length));
+    return tail.length >= ZLIB_SUFFIX.length && tail.subarray(-ZLIB_SUFFIX.length).equals(ZLIB_SUFFIX);
+  }
+
+  /**
+   * Release the zlib context
+   */
+  destroy(): void {
+    this.pending = [];
+    this.output = [];
+    this.inflate.removeAllListeners('data');
+    this.inflate.destroy();
+  }
+}
+
+export default GatewayInflater;
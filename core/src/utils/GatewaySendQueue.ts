@@ -0,0 +1,161 @@
+/**
+ * GatewaySendQueue - Rate limited outbound queue for gateway payloads
+ */
+
+/**
+ * Options for the gateway send queue
+ */
+export interface GatewaySendQueueOptions {
+  /** Payloads allowed per window (default 120) */
+  limit?: number;
+  /** Window length in ms (default 60000) */
+  window?: number;
+  /** Slots per window kept free for heartbeats, identify and resume (default 5) */
+  reserved?: number;
+}
+
+/**
+ * Queues outbound gateway payloads so the per-connection send budget is never exceeded.
+ *
+ * Regular payloads are only sent while the queue is open (after READY/RESUMED) and while
+ * the window has room beyond the reserved slots; everything else waits and is flushed in order.
+ * Priority payloads (heartbeat, identify, resume) skip the queue and may use the reserved slots.
+ */
+export class GatewaySendQueue {
+  /** Payloads waiting to be sent */
+  private queue: any[] = [];
+
+  /** Timestamps of payloads sent in the current window */
+  private sent: number[] = [];
+
+  /** Whether regular payloads may be sent */
+  private isOpen = false;
+
+  /** Timer waiting for the window to free up */
+  private timer: NodeJS.Timeout | null = null;
+
+  private readonly limit: number;
+  private readonly window: number;
+  private readonly reserved: number;
+
+  /**
+   * @param transmit - Writes a payload to the socket, returns false if the socket is not writable
+   * @param debug - Receives debug messages (queue depth, throttling)
+   */
+  constructor(
+    private readonly transmit: (payload: any) => boolean,
+    private readonly debug: (message: string) => void,
+    options: GatewaySendQueueOptions = {},
+  ) {
+    this.limit = options.limit ?? 120;
+    this.window = options.window ?? 60_000;
+    this.reserved = options.reserved ?? 5;
+  }
+
+  /**
+   * Number of payloads waiting
+   */
+  get size(): number {
+    return this.queue.length;
+  }
+
+  /**
+   * Queue a regular payload
+   */
+  enqueue(payload: any): void {
+    this.queue.push(payload);
+    if (!this.isOpen || this.timer) {
+      this.debug(`Gateway send queue: ${this.queue.length} payload(s) waiting`);
+      return;
+    }
+    this.flush();
+  }
+
+  /**
+   * Send a priority payload right away, bypassing the queue
+   */
+  sendNow(payload: any): boolean {
+    if (!this.transmit(payload)) return false;
+    this.prune(Date.now());
+    this.sent.push(Date.now());
+    return true;
+  }
+
+  /**
+   * Allow regular payloads to be sent (session established) and flush the backlog
+   */
+  open(): void {
+    this.isOpen = true;
+    if (this.queue.length > 0) {
+      this.debug(`Gateway send queue: flushing ${this.queue.length} buffered payload(s)`);
+    }
+    this.flush();
+  }
+
+  /**
+   * Stop sending regular payloads (connection lost); queued payloads are kept.
+   * A new connection gets a fresh budget, so the window is reset.
+   */
+  close(): void {
+    this.isOpen = false;
+    this.sent = [];
+    this.clearTimer();
+  }
+
+  /**
+   * Drop all queued payloads
+   */
+  clear(): void {
+    this.close();
+    this.queue = [];
+  }
+
+  /**
+   * Send as many queued payloads as the budget allows
+   */
+  private flush(): void {
+    this.clearTimer();
+    const budget = this.limit - this.reserved;
+
+    while (this.isOpen && this.queue.length > 0) {
+      const now = Date.now();
+      this.prune(now);
+
+      if (this.sent.length >= budget) {
+        const wait = this.window - (now - this.sent[0]);
+        this.debug(`Gateway send budget exhausted, ${this.queue.length} payload(s) waiting ${wait}ms`);
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.flush();
+        }, wait);
+        return;
+      }
+
+      if (!this.transmit(this.queue[0])) {
+        // Socket is not writable, keep the payload until the next open()
+        this.isOpen = false;
+        return;
+      }
+      this.queue.shift();
+      this.sent.push(now);
+    }
+  }
+
+  /**
+   * Forget sends that fell out of the window
+   */
+  private prune(now: number): void {
+    while (this.sent.length > 0 && now - this.sent[0] >= this.window) {
+      this.sent.shift();
+    }
+  }
+
+  private clearTimer(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default GatewaySendQueue;
@@ -0,0 +1,128 @@
+/**
+ * LimitedCollection - Size capped collection and cache factories
+ */
+
+import { Collection } from './Collection';
+
+/**
+ * Options for a LimitedCollection
+ */
+export interface LimitedCollectionOptions<K, V> {
+  /** Maximum number of entries (default Infinity) */
+  maxSize?: number;
+  /** Entries this returns true for are never evicted and may push the size over the limit */
+  keepOverLimit?: (value: V, key: K, collection: LimitedCollection<K, V>) => boolean;
+  /** Called for every entry evicted to make room */
+  onEvict?: (value: V, key: K, collection: LimitedCollection<K, V>) => void;
+}
+
+/**
+ * A Collection that holds at most `maxSize` entries.
+ *
+ * When a new key is added to a full collection, the oldest entry that isn't kept by
+ * `keepOverLimit` is evicted first. Updating an existing key never evicts anything.
+ *
+ * @example
+ * const members = new LimitedCollection({
+ *   maxSize: 200,
+ *   keepOverLimit: (member) => member.id === client.user?.id,
+ * });
+ */
+export class LimitedCollection<K, V> extends Collection<K, V> {
+  /** Maximum number of entries */
+  public readonly maxSize: number;
+
+  /** Entries kept regardless of the limit */
+  public readonly keepOverLimit: LimitedCollectionOptions<K, V>['keepOverLimit'] | null;
+
+  /** Eviction callback */
+  public readonly onEvict: LimitedCollectionOptions<K, V>['onEvict'] | null;
+
+  constructor(options: LimitedCollectionOptions<K, V> = {}, iterable?: Iterable<readonly [K, V]>) {
+    super();
+    const maxSize = options.maxSize ?? Infinity;
+    if (typeof maxSize !== 'number' || Number.isNaN(maxSize) || maxSize < 0) {
+      throw new RangeError('LimitedCollection maxSize must be a non-negative number');
+    }
+    if (options.keepOverLimit !== undefined && typeof options.keepOverLimit !== 'function') {
+      throw new TypeError('LimitedCollection keepOverLimit must be a function');
+    }
+    if (options.onEvict !== undefined && typeof options.onEvict !== 'function') {
+      throw new TypeError('LimitedCollection onEvict must be a function');
+    }
+
+    this.maxSize = maxSize;
+    this.keepOverLimit = options.keepOverLimit ?? null;
+    this.onEvict = options.onEvict ?? null;
+
+    if (iterable) {
+      for (const [key, value] of iterable) this.set(key, value);
+    }
+  }
+
+  set(key: K, value: V): this {
+    if (this.has(key)) return super.set(key, value);
+
+    if (this.maxSize === 0 && !this.keepOverLimit?.(value, key, this)) return this;
+
+    if (this.size >= this.maxSize) {
+      for (const [oldKey, oldValue] of this) {
+        if (this.keepOverLimit?.(oldValue, oldKey, this)) continue;
+        this.delete(oldKey);
+        this.onEvict?.(oldValue, oldKey, this);
+        break;
+      }
+    }
+
+    return super.set(key, value);
+  }
+}
+
+/**
+ * Caches that can be customised with the `makeCache` client option
+ */
+export type CacheManagerType =
+  | 'GuildManager'
+  | 'ChannelManager'
+  | 'UserManager'
+  | 'GuildChannelManager'
+  | 'GuildMemberManager'
+  | 'RoleManager'
+  | 'MessageManager'
+  | 'ReactionManager'
+  | 'ReactionUserManager'
+  | 'GuildBanManager';
+
+/**
+ * Builds the cache store of a manager; return a plain Collection for an unbounded cache,
+ * or undefined for the manager's default store
+ */
+export type CacheFactory = (managerType: CacheManagerType) => Collection<any, any> | undefined;
+
+/**
+ * Create a cache factory from per-manager limits.
+ * A number is shorthand for `{ maxSize }`; managers without settings keep their default store.
+ *
+ * @example
+ * const client = new Client({
+ *   intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers],
+ *   makeCache: cacheWithLimits({
+ *     MessageManager: 50,
+ *     GuildMemberManager: {
+ *       maxSize: 200,
+ *       keepOverLimit: (member) => member.id === client.user?.id,
+ *     },
+ *   }),
+ * });
+ */
+export function cacheWithLimits(
+  settings: Partial<Record<CacheManagerType, number | LimitedCollectionOptions<any, any>>> = {}
+): CacheFactory {
+  return (managerType) => {
+    const setting = settings[managerType];
+    if (setting === undefined) return undefined;
+    return new LimitedCollection(typeof setting === 'number' ? { maxSize: setting } : setting);
+  };
+}
+
+export default LimitedCollection;
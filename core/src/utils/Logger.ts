@@ -0,0 +1,171 @@
+/**
+ * Logger - Pluggable logging for the client, REST and voice
+ */
+
+/**
+ * Log levels, from most to least verbose
+ */
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+/**
+ * Anything with these four methods can be used as a logger (console, pino, winston, ...)
+ */
+export interface Logger {
+  debug(message: string, meta?: Record<string, unknown>): void;
+  info(message: string, meta?: Record<string, unknown>): void;
+  warn(message: string, meta?: Record<string, unknown>): void;
+  error(message: string, meta?: Record<string, unknown>): void;
+}
+
+/**
+ * What is hidden from log output (both default true)
+ */
+export interface LogRedactionOptions {
+  /** Replace the bot token and interaction/webhook tokens in URLs */
+  token?: boolean;
+  /** Replace request/response bodies and payloads (`body` meta fields), which hold user content */
+  bodies?: boolean;
+}
+
+/**
+ * Placeholder written in place of redacted values
+ */
+export const REDACTED = '[REDACTED]';
+
+const LOG_LEVELS: LogLevel[] = ['debug', 'info', 'warn', 'error'];
+
+/** Interaction and webhook tokens are part of the URL path */
+const URL_TOKEN_PATTERN = /(\/interactions\/webhooks\/[^/\s]+\/|\/(?:interactions|webhooks)\/[^/\s]+\/)[^/?\s]+/g;
+
+/**
+ * Replace the bot token and interaction/webhook tokens in URLs
+ */
+export function redactTokens(text: string, token?: string): string {
+  let result = text.replace(URL_TOKEN_PATTERN, `$1${REDACTED}`);
+  if (token) result = result.split(token).join(REDACTED);
+  return result;
+}
+
+/**
+ * Logger writing to the console, for messages at or above a level
+ *
+ * @example
+ * const client = new Client({
+ *   intents: [GatewayIntentBits.Guilds],
+ *   logger: new ConsoleLogger({ level: 'debug' }),
+ * });
+ */
+export class ConsoleLogger implements Logger {
+  /** Least severe level written */
+  public readonly level: LogLevel;
+
+  /** Prepended to every line */
+  public readonly prefix: string;
+
+  constructor(options: { level?: LogLevel; prefix?: string } = {}) {
+    this.level = options.level ?? 'info';
+    this.prefix = options.prefix ?? '[jubbio]';
+  }
+
+  debug(message: string, meta?: Record<string, unknown>): void {
+    this.write('debug', message, meta);
+  }
+
+  info(message: string, meta?: Record<string, unknown>): void {
+    this.write('info', message, meta);
+  }
+
+  warn(message: string, meta?: Record<string, unknown>): void {
+    this.write('warn', message, meta);
+  }
+
+  error(message: string, meta?: Record<string, unknown>): void {
+    this.write('error', message, meta);
+  }
+
+  private write(level: LogLevel, message: string, meta?: Record<string, unknown>): void {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) return;
+    const line = `${this.prefix} ${level.toUpperCase()} ${message}`;
+    if (meta && Object.keys(meta).length > 0) console[level](line, meta);
+    else console[level](line);
+  }
+}
+
+/**
+ * Wraps a logger and removes secrets and user content before anything reaches it.
+ * Without a target logger nothing is logged; Client and REST wrap their `logger` option in one.
+ */
+export class RedactingLogger implements Logger {
+  private readonly target: Logger | null;
+  private readonly redactToken: boolean;
+  private readonly redactBodies: boolean;
+  private token: string = '';
+
+  constructor(target?: Logger | null, options: LogRedactionOptions = {}) {
+    this.target = target ?? null;
+    this.redactToken = options.token ?? true;
+    this.redactBodies = options.bodies ?? true;
+  }
+
+  /**
+   * Whether messages reach a logger, lets callers skip building expensive messages
+   */
+  get enabled(): boolean {
+    return this.target !== null;
+  }
+
+  /**
+   * Set the bot token to remove from output
+   */
+  setToken(token: string): void {
+    this.token = token;
+  }
+
+  debug(message: string, meta?: Record<string, unknown>): void {
+    this.target?.debug(this.redactString(message), this.redactMeta(meta));
+  }
+
+  info(message: string, meta?: Record<string, unknown>): void {
+    this.target?.info(this.redactString(message), this.redactMeta(meta));
+  }
+
+  warn(message: string, meta?: Record<string, unknown>): void {
+    this.target?.warn(this.redactString(message), this.redactMeta(meta));
+  }
+
+  error(message: string, meta?: Record<string, unknown>): void {
+    this.target?.error(this.redactString(message), this.redactMeta(meta));
+  }
+
+  private redactMeta(meta?: Record<string, unknown>): Record<string, unknown> | undefined {
+    if (!meta) return undefined;
+    const result: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(meta)) {
+      result[key] = key === 'body' && this.redactBodies && value !== undefined
+        ? REDACTED
+        : this.redactValue(value);
+    }
+    return result;
+  }
+
+  private redactValue(value: unknown): unknown {
+    if (typeof value === 'string') return this.redactString(value);
+    if (value instanceof Error) {
+      const error = new Error(this.redactString(value.message));
+      error.name = value.name;
+      error.stack = value.stack && this.redactString(value.stack);
+      return error;
+    }
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item));
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(
+        Object.entries(value as Record<string, unknown>).map(([key, item]) => [key, this.redactValue(item)])
+      );
+    }
+    return value;
+  }
+
+  private redactString(text: string): string {
+    return this.redactToken ? redactTokens(text, this.token) : text;
+  }
+}
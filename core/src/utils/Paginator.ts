@@ -0,0 +1,96 @@
+/**
+ * Paginator - Async iteration over paginated list endpoints
+ */
+
+import { Collection } from './Collection';
+
+/**
+ * One page of a list endpoint
+ */
+export interface Page<V> {
+  items: V[];
+  /** Cursor of the next page, null after the last one */
+  next: string | null;
+}
+
+/**
+ * Options for a Paginator
+ */
+export interface PaginatorOptions<K, V> {
+  /** Fetch the page at a cursor (undefined for the first page), with at most `limit` items */
+  fetchPage: (cursor: string | undefined, limit: number) => Promise<Page<V>>;
+  /** Key of an item in collected Collections */
+  key: (item: V) => K;
+  /** Most items the endpoint returns per request */
+  pageSize: number;
+  /** Total items to yield (default: all of them) */
+  limit?: number;
+  /** Cursor of the first page */
+  cursor?: string;
+}
+
+/**
+ * Walks a list endpoint page by page.
+ *
+ * Pages are requested one at a time, only while the loop asks for more items, so a `break`
+ * stops fetching. Requests go through the REST client and wait for its rate limits.
+ * Every `for await` starts again from the first page.
+ *
+ * @example
+ * for await (const message of channel.messages.iterate({ limit: 500 })) {
+ *   if (message.content.includes('needle')) break;
+ * }
+ *
+ * const banned = await guild.bans.iterate().collect({ max: 100 });
+ */
+export class Paginator<K, V> implements AsyncIterable<V> {
+  private readonly fetchPage: PaginatorOptions<K, V>['fetchPage'];
+  private readonly key: (item: V) => K;
+  private readonly pageSize: number;
+  private readonly limit: number;
+  private readonly cursor: string | undefined;
+
+  constructor(options: PaginatorOptions<K, V>) {
+    this.fetchPage = options.fetchPage;
+    this.key = options.key;
+    this.pageSize = options.pageSize;
+    this.limit = options.limit ?? Infinity;
+    this.cursor = options.cursor;
+  }
+
+  async *[Symbol.asyncIterator](): AsyncGenerator<V, void, undefined> {
+    let remaining = this.limit;
+    let cursor = this.cursor;
+
+    while (remaining > 0) {
+      const { items, next } = await this.fetchPage(cursor, Math.min(this.pageSize, remaining));
+      for (const item of items) {
+        if (remaining <= 0) return;
+        remaining--;
+        yield item;
+      }
+
+      // Also stop when the cursor doesn't move, rather than requesting the same page forever
+      if (next === null || items.length === 0 || next === cursor) return;
+      cursor = next;
+    }
+  }
+
+  /**
+   * Fetch the items into a Collection
+   * @param options.max - Stop after this many items (default: the paginator's limit)
+   */
+  async collect(options: { max?: number } = {}): Promise<Collection<K, V>> {
+    const collected = new Collection<K, V>();
+    const max = options.max ?? Infinity;
+    if (max <= 0) return collected;
+
+    for await (const item of this) {
+      collected.set(this.key(item), item);
+      if (collected.size >= max) break;
+    }
+    return collected;
+  }
+}
+
+export default Paginator;
@@ -12,6 +12,7 @@ export enum Partials {
   Message = 3,
   Reaction = 4,
   GuildScheduledEvent = 5,
+  Role = 6,
 }
 
 /**
@@ -23,6 +24,7 @@ export function isPartial(obj: any): boolean {
 
 /**
  * Create a partial user structure
+ * @deprecated Events emit the structures themselves as partials (`partial === true`), use those; removed in the next major version
  */
 export function createPartialUser(id: string): PartialUser {
   return {
@@ -45,6 +47,7 @@ export function createPartialUser(id: string): PartialUser {
 
 /**
  * Create a partial channel structure
+ * @deprecated Events emit the structures themselves as partials (`partial === true`), use those; removed in the next major version
  */
 export function createPartialChannel(id: string): PartialChannel {
   return {
@@ -65,6 +68,7 @@ export function createPartialChannel(id: string): PartialChannel {
 
 /**
  * Create a partial message structure
+ * @deprecated Events emit the structures themselves as partials (`partial === true`), use those; removed in the next major version
  */
 export function createPartialMessage(id: string, channelId: string): PartialMessage {
   return {
@@ -88,6 +92,7 @@ export function createPartialMessage(id: string, channelId: string): PartialMess
 
 /**
  * Create a partial guild member structure
+ * @deprecated Events emit the structures themselves as partials (`partial === true`), use those; removed in the next major version
  */
 export function createPartialGuildMember(userId: string, guildId: string): PartialGuildMember {
   return {
@@ -111,6 +116,7 @@ export function createPartialGuildMember(userId: string, guildId: string): Parti
 
 /**
  * Create a partial reaction structure
+ * @deprecated Events emit the structures themselves as partials (`partial === true`), use those; removed in the next major version
  */
 export function createPartialReaction(messageId: string, emoji: string): PartialReaction {
   return {
@@ -132,6 +138,7 @@ export function createPartialReaction(messageId: string, emoji: string): Partial
 
 /**
  * Partial structure types
+ * @deprecated Returned by the deprecated createPartial* helpers only
  */
 export interface PartialUser {
   id: string;
@@ -144,6 +151,7 @@ export interface PartialUser {
   toString(): string;
 }
 
+/** @deprecated Returned by the deprecated createPartial* helpers only */
 export interface PartialChannel {
   id: string;
   partial: true;
@@ -153,6 +161,7 @@ export interface PartialChannel {
   toString(): string;
 }
 
+/** @deprecated Returned by the deprecated createPartial* helpers only */
 export interface PartialMessage {
   id: string;
   channelId: string;
@@ -165,6 +174,7 @@ export interface PartialMessage {
   toString(): string;
 }
 
+/** @deprecated Returned by the deprecated createPartial* helpers only */
 export interface PartialGuildMember {
   id: string;
   guildId: string;
@@ -177,6 +187,7 @@ export interface PartialGuildMember {
   toString(): string;
 }
 
+/** @deprecated Returned by the deprecated createPartial* helpers only */
 export interface PartialReaction {
   messageId: string;
   emoji: string;
@@ -189,6 +200,7 @@ export interface PartialReaction {
 
 /**
  * Make a structure partial-aware with fetch capability
+ * @deprecated Events emit the structures themselves as partials (`partial === true`), use those; removed in the next major version
  */
 export function makePartialAware<T extends { id: string }>(
   structure: T,
@@ -0,0 +1,138 @@
+/**
+ * PersistentCollection - Collection mirrored to a CacheAdapter
+ */
+
+import { Collection } from './Collection';
+import { CacheSerializers } from './CacheSerializers';
+import type { CacheAdapter } from './CacheAdapter';
+import type { CacheManagerType } from './LimitedCollection';
+
+/**
+ * Options for a PersistentCollection
+ */
+export interface PersistentCollectionOptions<V> {
+  /** Store the entries are mirrored to */
+  adapter: CacheAdapter;
+  /** Namespace of this collection in the store */
+  namespace: string;
+  /** Converts a value to the JSON data kept in the store */
+  serialize: (value: V) => unknown;
+  /** Receives store errors; writes are fire-and-forget */
+  onError?: (error: Error) => void;
+}
+
+/**
+ * A Collection whose writes are mirrored to an external store.
+ *
+ * Reads stay synchronous and in memory. `set`, `delete` and `clear` update the store in the
+ * background, in order; `flush()` resolves once every write so far has settled.
+ * `hydrate()` loads the stored entries back into memory without writing them again.
+ */
+export class PersistentCollection<K extends string, V> extends Collection<K, V> {
+  public readonly adapter: CacheAdapter;
+  public readonly namespace: string;
+  private readonly serialize: (value: V) => unknown;
+  private readonly onError: (error: Error) => void;
+
+  /** Last queued store write */
+  private pending: Promise<void> = Promise.resolve();
+
+  constructor(options: PersistentCollectionOptions<V>) {
+    super();
+    this.adapter = options.adapter;
+    this.namespace = options.namespace;
+    this.serialize = options.serialize;
+    this.onError = options.onError ?? (() => {});
+  }
+
+  set(key: K, value: V): this {
+    super.set(key, value);
+    this.enqueue(() => this.adapter.set(this.namespace, key, this.serialize(value)));
+    return this;
+  }
+
+  delete(key: K): boolean {
+    const existed = super.delete(key);
+    if (existed) this.enqueue(() => this.adapter.delete(this.namespace, key));
+    return existed;
+  }
+
+  clear(): void {
+    super.clear();
+    this.enqueue(() => this.adapter.clear(this.namespace));
+  }
+
+  /**
+   * Read an entry from the store (for entries not in memory)
+   */
+  async fetchStored(key: K): Promise<unknown | undefined> {
+    await this.flush();
+    return this.adapter.get(this.namespace, key);
+  }
+
+  /**
+   * Load every stored entry into memory
+   * @param build - Turns stored data into a value, null to skip the entry
+   * @returns Number of entries loaded
+   */
+  async hydrate(build: (data: any, key: K) => V | null): Promise<number> {
+    await this.flush();
+    let loaded = 0;
+    for await (const [key, data] of this.adapter.iterate(this.namespace)) {
+      const value = build(data, key as K);
+      if (value === null) continue;
+      this._setLocal(key as K, value);
+      loaded++;
+    }
+    return loaded;
+  }
+
+  /**
+   * Set an entry in memory only (the store already has it)
+   * @internal
+   */
+  _setLocal(key: K, value: V): void {
+    super.set(key, value);
+  }
+
+  /**
+   * Wait until every queued store write has settled
+   */
+  flush(): Promise<void> {
+    return this.pending;
+  }
+
+  private enqueue(write: () => Promise<unknown>): void {
+    this.pending = this.pending
+      .then(write)
+      .then(() => undefined, (error) => this.onError(error));
+  }
+}
+
+/**
+ * Build the cache of a manager: a PersistentCollection when the client has a cache adapter
+ * and the manager is persisted, otherwise whatever `makeCache` returns (default `defaultCache`, or a Collection).
+ * @internal
+ */
+export function createCache(
+  client: any,
+  managerType: CacheManagerType,
+  namespace?: string,
+  defaultCache?: Collection<any, any>
+): Collection<any, any> {
+  const adapter: CacheAdapter | undefined = client?.options?.cacheAdapter;
+  const serialize = CacheSerializers[managerType];
+
+  if (adapter && namespace && serialize) {
+    return new PersistentCollection({
+      adapter,
+      namespace,
+      serialize,
+      onError: (error) => client._cacheError?.(error, namespace),
+    });
+  }
+
+  return client?.options?.makeCache?.(managerType) ?? defaultCache ?? new Collection();
+}
+
+export default PersistentCollection;
@@ -27,7 +27,7 @@ export interface SweeperDefinitions {
   /** Sweep invites */
   invites?: SweeperOptions;
   /** Sweep guild members */
-  guildMembers?: SweeperOptions;
+  members?: SweeperOptions;
   /** Sweep messages */
   messages?: SweeperOptions;
   /** Sweep presences */
@@ -38,6 +38,8 @@ export interface SweeperDefinitions {
   stageInstances?: SweeperOptions;
   /** Sweep stickers */
   stickers?: SweeperOptions;
+  /** Sweep thread channels */
+  threads?: SweeperOptions;
   /** Sweep users */
   users?: SweeperOptions;
   /** Sweep voice states */
@@ -117,8 +119,14 @@ export const Sweepers = {
   },
 };
 
+/** Thread channel types (announcement, public and private threads) */
+const THREAD_CHANNEL_TYPES = new Set([10, 11, 12]);
+
 /**
  * Sweeper manager class
+ *
+ * Each configured sweeper runs on its own interval and emits `cacheSweep`
+ * on the client with the cache name and the number of entries removed.
  */
 export class SweeperManager {
   private client: any;
@@ -131,11 +139,11 @@ export class SweeperManager {
   }
 
   /**
-   * Start all configured sweepers
+   * Start all configured sweepers that aren't running yet
    */
   start(): void {
     for (const [key, config] of Object.entries(this.options)) {
-      if (config && config.interval > 0) {
+      if (config && config.interval > 0 && !this.intervals.has(key)) {
         this.startSweeper(key as keyof SweeperDefinitions, config);
       }
     }
@@ -149,8 +157,11 @@ export class SweeperManager {
     this.stopSweeper(name);
     
     const interval = setInterval(() => {
-      this.sweep(name, config.filter);
+      const swept = this.sweep(name, config.filter);
+      this.client.emit('cacheSweep', name, swept);
     }, config.interval * 1000);
+    // Sweeping alone shouldn't keep the process alive
+    interval.unref();
     
     this.intervals.set(name, interval);
   }
@@ -177,95 +188,82 @@ export class SweeperManager {
 
   /**
    * Manually trigger a sweep
+   * @returns Number of entries removed across all caches of this type
    */
   sweep(name: keyof SweeperDefinitions, filter?: () => (value: any, key: string, collection: Collection<string, any>) => boolean): number {
-    const cache = this.getCache(name);
-    if (!cache) return 0;
-    
     const filterFn = filter ?? this.options[name]?.filter;
     if (!filterFn) return 0;
-    
-    return cache.sweep(filterFn());
+
+    const fn = filterFn();
+    const selfId = this.client.user?.id;
+    let predicate = fn;
+    if ((name === 'users' || name === 'members') && selfId) {
+      // Never sweep the bot's own user or member
+      predicate = (value, key, collection) => key !== selfId && fn(value, key, collection);
+    } else if (name === 'threads') {
+      // Threads live in the channel caches, leave other channels alone
+      predicate = (value, key, collection) => THREAD_CHANNEL_TYPES.has(value?.type) && fn(value, key, collection);
+    }
+
+    let swept = 0;
+    for (const cache of this.getCaches(name)) {
+      swept += SweeperManager.sweepCache(cache, predicate);
+    }
+    return swept;
   }
 
   /**
-   * Get the cache for a sweeper type
+   * Get every cache a sweeper type applies to
    */
-  private getCache(name: keyof SweeperDefinitions): Collection<string, any> | null {
+  private getCaches(name: keyof SweeperDefinitions): Map<string, any>[] {
+    const guilds: any[] = this.client.guilds ? [...this.client.guilds.values()] : [];
+    const messageCaches = (): Map<string, any>[] => {
+      const managers: any[] = this.client._messageManagers ? [...this.client._messageManagers()] : [];
+      return managers.map(manager => manager.cache);
+    };
+
     switch (name) {
       case 'users':
-        return this.client.users?.cache ?? null;
-      case 'guildMembers':
-        // Sweep across all guilds
-        let memberCount = 0;
-        this.client.guilds?.cache.forEach((guild: any) => {
-          if (guild.members?.cache) {
-            const filter = this.options.guildMembers?.filter;
-            if (filter) memberCount += guild.members.cache.sweep(filter());
-          }
-        });
-        return null; // Already handled
+        return this.client.users ? [this.client.users] : [];
+      case 'members':
+        return guilds.map(guild => guild.members?.cache).filter(Boolean);
       case 'messages':
-        // Sweep across all channels
-        this.client.channels?.cache.forEach((channel: any) => {
-          if (channel.messages?.cache) {
-            const filter = this.options.messages?.filter;
-            if (filter) channel.messages.cache.sweep(filter());
-          }
-        });
-        return null;
+        return messageCaches();
+      case 'reactions':
+        return messageCaches().flatMap(cache =>
+          [...cache.values()].map((message: any) => message.reactions?.cache).filter(Boolean));
       case 'presences':
-        // Sweep across all guilds
-        this.client.guilds?.cache.forEach((guild: any) => {
-          if (guild.presences?.cache) {
-            const filter = this.options.presences?.filter;
-            if (filter) guild.presences.cache.sweep(filter());
-          }
-        });
-        return null;
+        return guilds.map(guild => guild.presences).filter(Boolean);
+      case 'invites':
+        return guilds.map(guild => guild.invites).filter(Boolean);
       case 'voiceStates':
-        this.client.guilds?.cache.forEach((guild: any) => {
-          if (guild.voiceStates?.cache) {
-            const filter = this.options.voiceStates?.filter;
-            if (filter) guild.voiceStates.cache.sweep(filter());
-          }
-        });
-        return null;
-      case 'reactions':
-        // Sweep reactions from all messages
-        this.client.channels?.cache.forEach((channel: any) => {
-          channel.messages?.cache.forEach((message: any) => {
-            if (message.reactions?.cache) {
-              const filter = this.options.reactions?.filter;
-              if (filter) message.reactions.cache.sweep(filter());
-            }
-          });
-        });
-        return null;
+        return guilds.map(guild => guild.voiceStates).filter(Boolean);
+      case 'bans':
+        return guilds.map(guild => guild.bans?.cache).filter(Boolean);
+      case 'threads':
+        // Gateway channel events fill guild.channels, client.channels only holds channels restored from a cache adapter
+        return [...guilds.map(guild => guild.channels), this.client.channels].filter(Boolean);
       case 'emojis':
-        return this.client.emojis?.cache ?? null;
+        return this.client.emojis?.cache ? [this.client.emojis.cache] : [];
       case 'stickers':
-        return this.client.stickers?.cache ?? null;
-      case 'invites':
-        // Sweep across all guilds
-        this.client.guilds?.cache.forEach((guild: any) => {
-          if (guild.invites?.cache) {
-            const filter = this.options.invites?.filter;
-            if (filter) guild.invites.cache.sweep(filter());
-          }
-        });
-        return null;
-      case 'bans':
-        this.client.guilds?.cache.forEach((guild: any) => {
-          if (guild.bans?.cache) {
-            const filter = this.options.bans?.filter;
-            if (filter) guild.bans.cache.sweep(filter());
-          }
-        });
-        return null;
+        return this.client.stickers?.cache ? [this.client.stickers.cache] : [];
       default:
-        return null;
+        return [];
+    }
+  }
+
+  /**
+   * Remove the entries of a cache that match the filter
+   */
+  private static sweepCache(
+    cache: Map<string, any>,
+    fn: (value: any, key: string, collection: Collection<string, any>) => boolean
+  ): number {
+    let swept = 0;
+    for (const [key, value] of [...cache.entries()]) {
+      if (fn(value, key, cache as Collection<string, any>) && cache.delete(key)) swept++;
     }
+    return swept;
   }
 
   /**
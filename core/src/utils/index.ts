@@ -3,6 +3,11 @@
  */
 
 export * from './Collection';
+export * from './LimitedCollection';
+export * from './CacheAdapter';
+export * from './CacheSerializers';
+export * from './PersistentCollection';
+export * from './Paginator';
 export * from './Formatters';
 export * from './SnowflakeUtil';
 export * from './BitField';
@@ -12,3 +17,4 @@ export * from './DataResolver';
 export * from './Collector';
 export * from './Partials';
 export * from './Sweepers';
+export * from './Logger';
@@ -0,0 +1,108 @@
+/**
+ * GatewayInflater against a local WebSocket server sending zlib-stream frames
+ *
+ * Run with `npm test` (builds to dist first)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { WebSocket, WebSocketServer } = require('ws');
+const { GatewayInflater } = require('../dist/utils/GatewayInflater');
+
+let server;
+let url;
+
+/** Frames the server sends to the next connection */
+let script = [];
+
+before(async () => {
+  server = new WebSocketServer({ port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  url = `ws://127.0.0.1:${server.address().port}`;
+  server.on('connection', (socket) => {
+    for (const frame of script) socket.send(frame, { binary: true });
+  });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Compress messages over one zlib context, each ending with the Z_SYNC_FLUSH suffix
+ */
+async function compress(messages) {
+  const deflate = zlib.createDeflate();
+  const chunks = [];
+  deflate.on('data', chunk => chunks.push(chunk));
+  const out = [];
+  for (const message of messages) {
+    deflate.write(JSON.stringify(message));
+    await new Promise(resolve => deflate.flush(zlib.constants.Z_SYNC_FLUSH, resolve));
+    out.push(Buffer.concat(chunks.splice(0)));
+  }
+  deflate.close();
+  return out;
+}
+
+/**
+ * Split a buffer at the given offsets
+ */
+function split(buffer, offsets) {
+  const parts = [];
+  let start = 0;
+  for (const offset of offsets) {
+    parts.push(buffer.subarray(start, offset));
+    start = offset;
+  }
+  parts.push(buffer.subarray(start));
+  return parts;
+}
+
+/**
+ * Connect, feed every binary frame to an inflater and resolve with `count` messages
+ */
+function receive(count) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const ws = new WebSocket(url);
+    const inflater = new GatewayInflater((data) => {
+      messages.push(JSON.parse(data));
+      if (messages.length === count) {
+        inflater.destroy();
+        ws.close();
+        resolve(messages);
+      }
+    }, reject);
+    ws.on('message', data => inflater.push(data));
+    ws.on('error', reject);
+  });
+}
+
+test('assembles a message split over several frames', async () => {
+  const payload = { op: 0, t: 'READY', d: { session_id: 'abc', guilds: Array.from({ length: 50 }, (_, i) => ({ id: String(i) })) } };
+  const [frame] = await compress([payload]);
+  assert.ok(frame.subarray(-4).equals(Buffer.from([0x00, 0x00, 0xff, 0xff])));
+  script = split(frame, [1, Math.floor(frame.length / 2), frame.length - 3]);
+
+  assert.deepStrictEqual(await receive(1), [payload]);
+});
+
+test('waits for the suffix when it is split over two frames', async () => {
+  const payload = { op: 10, d: { heartbeat_interval: 41250 } };
+  const [frame] = await compress([payload]);
+  script = split(frame, [frame.length - 2]);
+
+  assert.deepStrictEqual(await receive(1), [payload]);
+});
+
+test('keeps the zlib context across messages', async () => {
+  const payloads = [
+    { op: 0, t: 'MESSAGE_CREATE', d: { content: 'hello world', channel_id: '1' } },
+    { op: 0, t: 'MESSAGE_CREATE', d: { content: 'hello world', channel_id: '1' } },
+    { op: 11 },
+  ];
+  const frames = await compress(payloads);
+  script = [...split(frames[0], [3]), frames[1], ...split(frames[2], [frames[2].length - 4])];
+
+  assert.deepStrictEqual(await receive(3), payloads);
+});
@@ -32,10 +32,9 @@ const client = new Client({
 });
 
 // ── Voice state logla ──
-client.on('voiceStateUpdate', (data) => {
-  const guild = client.guilds.get(data.guild_id);
-  const member = guild?.members.get(String(data.user_id));
-  console.log(`\n🔊 VOICE_STATE_UPDATE → user:${data.user_id} channel:${data.channel_id} cached:${member?.voice?.channelId ?? 'yok'}`);
+client.on('voiceStateUpdate', (oldState, newState) => {
+  const member = newState.member;
+  console.log(`\n🔊 VOICE_STATE_UPDATE → user:${newState.userId} channel:${oldState.channelId ?? 'yok'} → ${newState.channelId ?? 'yok'} cached:${member?.voice?.channelId ?? 'yok'}`);
 });
 
 // ── Tüm komutlar tek handler'da ──
@@ -13,6 +13,8 @@ import { AudioPlayerStatus } from './enums';
 import { CreateAudioPlayerOptions, AudioPlayerState } from './types';
 import { AudioResource } from './AudioResource';
 import { VoiceConnection } from './VoiceConnection';
+import { JubbioVoiceError, VoiceErrorCodes } from './errors';
+import { Logger, createLogger } from './logger';
 
 // Audio settings for LiveKit (48kHz stereo)
 const SAMPLE_RATE = 48000;
@@ -36,6 +38,9 @@ export class AudioPlayer extends EventEmitter {
   
   /** Player options */
   private options: CreateAudioPlayerOptions;
+
+  /** Receives playback logs */
+  private readonly logger: Logger;
   
   /** Subscribed voice connections */
   private subscriptions: Set<VoiceConnection> = new Set();
@@ -72,14 +77,18 @@ export class AudioPlayer extends EventEmitter {
         noSubscriber: 'pause',
         maxMissedFrames: 5,
         ...options.behaviors
-      }
+      },
+      locale: options.locale ?? 'en'
     };
+    this.logger = createLogger(options.logger);
+    const hasLogger = !!options.logger;
     
     // Add default error handler to prevent crashes
     this.on('error', (error) => {
-      // Default handler - just log if no other listeners
+      // Default handler - just report if no other listeners
       if (this.listenerCount('error') === 1) {
-        console.error('[AudioPlayer] Error:', error.message);
+        if (hasLogger) this.logger.error(`[AudioPlayer] Error: ${error.message}`);
+        else process.emitWarning(`[AudioPlayer] ${error.message}`, { code: 'JUBBIO_AUDIO_PLAYER_ERROR' });
       }
     });
   }
@@ -184,7 +193,11 @@ export class AudioPlayer extends EventEmitter {
       await this.startFFmpeg();
     } catch (error) {
       // Emit error but don't stop - let user decide what to do
-      this.emit('error', { message: (error as Error).message, resource: this.currentResource });
+      this.emit('error', {
+        message: (error as Error).message,
+        resource: this.currentResource,
+        code: error instanceof JubbioVoiceError ? error.code : undefined
+      });
       // Reset to idle state without full cleanup
       this.setState({ status: AudioPlayerStatus.Idle });
     }
@@ -209,7 +222,7 @@ export class AudioPlayer extends EventEmitter {
     if (!this.currentResource) return;
     
     let inputSource = this.currentResource.getInputSource();
-    console.log(`FFmpeg input source: ${inputSource.substring(0, 100)}...`);
+    this.logger.debug(`[AudioPlayer] FFmpeg input source: ${inputSource.substring(0, 100)}...`);
     
     // Check if input is a URL or search query
     const isUrl = inputSource.startsWith('http://') || 
@@ -219,7 +232,7 @@ export class AudioPlayer extends EventEmitter {
     // If not a URL, treat as YouTube search
     if (!isUrl) {
       inputSource = `ytsearch1:${inputSource}`;
-      console.log(`Converted to YouTube search: ${inputSource}`);
+      this.logger.debug(`[AudioPlayer] Converted to YouTube search: ${inputSource}`);
     }
     
     // Check if this is a streaming URL that needs yt-dlp
@@ -231,7 +244,7 @@ export class AudioPlayer extends EventEmitter {
     
     if (needsYtDlp) {
       // Use yt-dlp to pipe audio directly to FFmpeg
-      console.log('Using yt-dlp pipe mode');
+      this.logger.debug('[AudioPlayer] Using yt-dlp pipe mode');
       
       // Detect platform
       const isWindows = process.platform === 'win32';
@@ -244,7 +257,7 @@ export class AudioPlayer extends EventEmitter {
         const ytdlpCmd = `${ytDlpPath} -f bestaudio/best -o - --no-playlist --no-warnings --default-search ytsearch "${inputSource}"`;
         const ffmpegCmd = `ffmpeg -i pipe:0 -f s16le -ar ${SAMPLE_RATE} -ac ${CHANNELS} -acodec pcm_s16le -`;
         
-        console.log('[AudioPlayer] yt-dlp command:', ytdlpCmd);
+        this.logger.debug(`[AudioPlayer] yt-dlp command: ${ytdlpCmd}`);
         
         // Spawn yt-dlp with shell command
         const ytdlpProcess = spawn(ytdlpCmd, [], { 
@@ -264,7 +277,7 @@ export class AudioPlayer extends EventEmitter {
         ytdlpProcess.stdout?.on('data', (chunk: Buffer) => {
           ytdlpDataReceived += chunk.length;
           if (ytdlpDataReceived < 10000 || ytdlpDataReceived % 100000 < 10000) {
-            console.log(`[yt-dlp] stdout data: ${chunk.length} bytes (total: ${ytdlpDataReceived})`);
+            this.logger.debug(`[yt-dlp] stdout data: ${chunk.length} bytes (total: ${ytdlpDataReceived})`);
           }
         });
         
@@ -275,16 +288,16 @@ export class AudioPlayer extends EventEmitter {
         ytdlpProcess.stderr?.on('data', (data: Buffer) => {
           const msg = data.toString().trim();
           if (msg) {
-            console.log('[yt-dlp]', msg);
+            this.logger.debug(`[yt-dlp] ${msg}`);
           }
         });
         
         ytdlpProcess.on('error', (err) => {
-          console.error('[yt-dlp] process error:', err.message);
+          this.logger.error(`[yt-dlp] process error: ${err.message}`);
         });
         
         ytdlpProcess.on('close', (code) => {
-          console.log(`[yt-dlp] closed with code ${code}, total data: ${ytdlpDataReceived} bytes`);
+          this.logger.debug(`[yt-dlp] closed with code ${code}, total data: ${ytdlpDataReceived} bytes`);
         });
       } else {
         // Unix: use args array (no shell needed)
@@ -325,22 +338,22 @@ export class AudioPlayer extends EventEmitter {
         ytdlpProcess.stderr?.on('data', (data: Buffer) => {
           const msg = data.toString();
           if (msg.includes('ERROR')) {
-            console.error('yt-dlp error:', msg);
+            this.logger.error(`[yt-dlp] ${msg}`);
           }
         });
         
         ytdlpProcess.on('error', (err) => {
-          console.error('yt-dlp process error:', err.message);
+          this.logger.error(`[yt-dlp] process error: ${err.message}`);
         });
         
         ytdlpProcess.on('close', (code) => {
           if (code !== 0) {
-            console.error(`yt-dlp exited with code ${code}`);
+            this.logger.warn(`[yt-dlp] exited with code ${code}`);
           }
         });
       }
     } else {
-      console.log('Using direct FFmpeg mode');
+      this.logger.debug('[AudioPlayer] Using direct FFmpeg mode');
       this.ffmpegProcess = spawn('ffmpeg', [
         '-reconnect', '1',
         '-reconnect_streamed', '1',
@@ -398,13 +411,13 @@ export class AudioPlayer extends EventEmitter {
       this.ffmpegDone = true;
       this.ffmpegProcess = null;
       if (code !== 0) {
-        console.error(`FFmpeg stderr:\n${stderrOutput}`);
+        this.logger.warn(`[AudioPlayer] FFmpeg stderr:\n${stderrOutput}`);
       }
-      console.log(`[AudioPlayer] FFmpeg closed with code ${code}, hasReceivedData: ${hasReceivedData}, queue: ${this.frameQueue.length}`);
+      this.logger.debug(`[AudioPlayer] FFmpeg closed with code ${code}, hasReceivedData: ${hasReceivedData}, queue: ${this.frameQueue.length}`);
     });
 
     this.ffmpegProcess.on('error', (err) => {
-      console.error('FFmpeg process error:', err.message);
+      this.logger.error(`[AudioPlayer] FFmpeg process error: ${err.message}`);
       this.emit('error', { message: err.message, resource: this.currentResource });
     });
 
@@ -417,20 +430,20 @@ export class AudioPlayer extends EventEmitter {
       
       // Check if FFmpeg failed early
       if (this.ffmpegDone && this.frameQueue.length === 0) {
-        throw new Error('FFmpeg failed to produce audio data');
+        throw new JubbioVoiceError(VoiceErrorCodes.AudioNoData, [], this.options.locale);
       }
     }
     
     if (this.frameQueue.length === 0) {
-      throw new Error('Timeout waiting for audio data');
+      throw new JubbioVoiceError(VoiceErrorCodes.AudioBufferTimeout, [], this.options.locale);
     }
     
-    console.log(`[AudioPlayer] Starting playback with ${this.frameQueue.length} frames buffered (target: ${TARGET_BUFFER_FRAMES})`);
+    this.logger.debug(`[AudioPlayer] Starting playback with ${this.frameQueue.length} frames buffered (target: ${TARGET_BUFFER_FRAMES})`);
 
     // Mark ready for playback - setState will trigger the loop
     this.isPlaybackLoopRunning = true;
     this.nextFrameTime = hrtime.bigint();
-    console.log(`[AudioPlayer] Playback ready, audioSource exists: ${!!this.audioSource}`);
+    this.logger.debug(`[AudioPlayer] Playback ready, audioSource exists: ${!!this.audioSource}`);
     
     // Set state to playing - this will trigger scheduleNextFrame via setState
     this.setState({ status: AudioPlayerStatus.Playing, resource: this.currentResource });
@@ -442,7 +455,7 @@ export class AudioPlayer extends EventEmitter {
    */
   private scheduleNextFrame(): void {
     if (!this.isPlaybackLoopRunning || this.state.status !== AudioPlayerStatus.Playing) {
-      console.log(`[AudioPlayer] scheduleNextFrame skipped: loopRunning=${this.isPlaybackLoopRunning}, status=${this.state.status}`);
+      this.logger.debug(`[AudioPlayer] scheduleNextFrame skipped: loopRunning=${this.isPlaybackLoopRunning}, status=${this.state.status}`);
       return;
     }
 
@@ -451,7 +464,7 @@ export class AudioPlayer extends EventEmitter {
     const delayMs = Number(delayNs) / 1_000_000;
 
     if (this.framesPlayed === 0) {
-      console.log(`[AudioPlayer] First frame scheduling: delayMs=${delayMs.toFixed(2)}`);
+      this.logger.debug(`[AudioPlayer] First frame scheduling: delayMs=${delayMs.toFixed(2)}`);
     }
 
     // Schedule next frame
@@ -469,7 +482,7 @@ export class AudioPlayer extends EventEmitter {
   private async processFrame(): Promise<void> {
     if (!this.isPlaybackLoopRunning || this.state.status !== AudioPlayerStatus.Playing) {
       if (this.framesPlayed === 0) {
-        console.log(`[AudioPlayer] processFrame skipped: loopRunning=${this.isPlaybackLoopRunning}, status=${this.state.status}`);
+        this.logger.debug(`[AudioPlayer] processFrame skipped: loopRunning=${this.isPlaybackLoopRunning}, status=${this.state.status}`);
       }
       return;
     }
@@ -487,10 +500,10 @@ export class AudioPlayer extends EventEmitter {
         
         // Log progress every 500 frames (~10 seconds)
         if (this.framesPlayed % 500 === 0) {
-          console.log(`[AudioPlayer] Progress: ${this.framesPlayed} frames played, buffer: ${bufferSize}`);
+          this.logger.debug(`[AudioPlayer] Progress: ${this.framesPlayed} frames played, buffer: ${bufferSize}`);
         }
       } catch (e) {
-        console.error(`[AudioPlayer] Frame error:`, (e as Error).message);
+        this.logger.error(`[AudioPlayer] Frame error: ${(e as Error).message}`);
       }
       
       // Update timing for next frame
@@ -503,7 +516,7 @@ export class AudioPlayer extends EventEmitter {
         this.bufferUnderruns++;
         
         if (this.bufferUnderruns % 50 === 0) {
-          console.log(`[AudioPlayer] Buffer low: ${bufferSize} frames, ${this.bufferUnderruns} underruns`);
+          this.logger.debug(`[AudioPlayer] Buffer low: ${bufferSize} frames, ${this.bufferUnderruns} underruns`);
         }
       }
       
@@ -512,12 +525,12 @@ export class AudioPlayer extends EventEmitter {
       
     } else if (this.ffmpegDone && bufferSize === 0) {
       // Playback finished
-      console.log('[AudioPlayer] Playback finished - queue empty and FFmpeg done');
+      this.logger.debug('[AudioPlayer] Playback finished - queue empty and FFmpeg done');
       this.stop();
     } else if (bufferSize === 0) {
       // Buffer underrun - wait for more data
       this.bufferUnderruns++;
-      console.log(`[AudioPlayer] Buffer underrun #${this.bufferUnderruns}, waiting for data...`);
+      this.logger.debug(`[AudioPlayer] Buffer underrun #${this.bufferUnderruns}, waiting for data...`);
       
       // Wait a bit and try again
       this.nextFrameTime = hrtime.bigint() + BigInt(50_000_000); // 50ms
@@ -549,7 +562,7 @@ export class AudioPlayer extends EventEmitter {
     
     // Log stats
     if (this.framesPlayed > 0) {
-      console.log(`[AudioPlayer] Playback stats: ${this.framesPlayed} frames, ${this.bufferUnderruns} underruns`);
+      this.logger.debug(`[AudioPlayer] Playback stats: ${this.framesPlayed} frames, ${this.bufferUnderruns} underruns`);
     }
     this.bufferUnderruns = 0;
     this.framesPlayed = 0;
@@ -564,7 +577,7 @@ export class AudioPlayer extends EventEmitter {
     
     // Start playback loop when transitioning to Playing
     if (newState.status === AudioPlayerStatus.Playing && oldState.status !== AudioPlayerStatus.Playing) {
-      console.log(`[AudioPlayer] State changed to Playing, starting playback loop`);
+      this.logger.debug(`[AudioPlayer] State changed to Playing, starting playback loop`);
       this.scheduleNextFrame();
     }
   }
@@ -2,6 +2,8 @@ import { Readable } from 'stream';
 import { spawn } from 'child_process';
 import { StreamType } from './enums';
 import { CreateAudioResourceOptions, AudioResourceInput } from './types';
+import { JubbioVoiceError, VoiceErrorCodes, VoiceErrorLocale } from './errors';
+import { Logger, createLogger } from './logger';
 
 /**
  * Represents an audio resource that can be played
@@ -37,7 +39,7 @@ export class AudioResource<T = unknown> {
     } else {
       // For streams, we'd need to handle differently
       // For now, throw an error
-      throw new Error('Stream input not yet supported. Use URL or file path.');
+      throw new JubbioVoiceError(VoiceErrorCodes.AudioStreamInputUnsupported, [], options.locale);
     }
   }
 
@@ -125,16 +127,28 @@ function isValidUrl(input: string): boolean {
   }
 }
 
+/**
+ * Options for probing audio info
+ */
+export interface ProbeAudioInfoOptions {
+  /** Language of the error messages (default 'en') */
+  locale?: VoiceErrorLocale;
+  /** Receives the yt-dlp command (default: nothing is logged) */
+  logger?: Logger;
+}
+
 /**
  * Probe audio info from a URL or search query
  * If input is not a URL, it will search YouTube
  */
-export async function probeAudioInfo(input: string, ytDlpPath?: string): Promise<{
+export async function probeAudioInfo(input: string, ytDlpPath?: string, options: ProbeAudioInfoOptions = {}): Promise<{
   title: string;
   duration: number;
   thumbnail?: string;
   url: string;
 }> {
+  const { locale = 'en' } = options;
+  const logger = createLogger(options.logger);
   return new Promise((resolve, reject) => {
     const isWindows = process.platform === 'win32';
     const defaultYtDlpPath = isWindows ? 'yt-dlp' : '~/.local/bin/yt-dlp';
@@ -153,7 +167,7 @@ export async function probeAudioInfo(input: string, ytDlpPath?: string): Promise
       // Replace double quotes with escaped version for cmd
       const escapedQuery = searchQuery.replace(/"/g, '\\"');
       const cmd = `${ytdlpBin} --no-playlist --no-warnings -j "${escapedQuery}"`;
-      console.log('[probeAudioInfo] Running:', cmd);
+      logger.debug(`[probeAudioInfo] Running: ${cmd}`);
       ytdlp = spawn(cmd, [], { shell: true });
     } else {
       // Unix: use bash -c with quoted string
@@ -176,12 +190,12 @@ export async function probeAudioInfo(input: string, ytDlpPath?: string): Promise
     
     ytdlp.on('close', (code) => {
       if (code !== 0) {
-        reject(new Error(`yt-dlp failed (code ${code}): ${stderr || 'Unknown error'}`));
+        reject(new JubbioVoiceError(VoiceErrorCodes.AudioProbeExited, [code, stderr], locale));
         return;
       }
       
       if (!stdout.trim()) {
-        reject(new Error(`yt-dlp returned empty response. stderr: ${stderr}`));
+        reject(new JubbioVoiceError(VoiceErrorCodes.AudioProbeEmpty, [stderr], locale));
         return;
       }
       
@@ -194,18 +208,18 @@ export async function probeAudioInfo(input: string, ytDlpPath?: string): Promise
           url: info.webpage_url || info.url || input
         });
       } catch (e) {
-        reject(new Error(`Failed to parse yt-dlp output: ${stdout.substring(0, 200)}`));
+        reject(new JubbioVoiceError(VoiceErrorCodes.AudioProbeInvalidOutput, [stdout.substring(0, 200)], locale, e));
       }
     });
     
     ytdlp.on('error', (err) => {
-      reject(new Error(`Failed to probe audio info: ${err.message}`));
+      reject(new JubbioVoiceError(VoiceErrorCodes.AudioProbeFailed, [err.message], locale, err));
     });
     
     // Timeout after 30 seconds
     setTimeout(() => {
       ytdlp.kill();
-      reject(new Error('Timeout waiting for audio info'));
+      reject(new JubbioVoiceError(VoiceErrorCodes.AudioProbeTimeout, [], locale));
     }, 30000);
   });
 }
@@ -8,6 +8,8 @@ import {
   VoiceServerUpdate
 } from './types';
 import { AudioPlayer } from './AudioPlayer';
+import { JubbioVoiceError, VoiceErrorCodes, VoiceErrorLocale } from './errors';
+import { TokenRedactingLogger, createLogger } from './logger';
 
 /**
  * Represents a voice connection to a channel
@@ -39,10 +41,18 @@ export class VoiceConnection extends EventEmitter {
   /** Adapter implementer (for sending payloads) */
   private adapter: { sendPayload: (payload: any) => boolean; destroy: () => void } | null = null;
 
+  /** Language of the error messages */
+  private readonly locale: VoiceErrorLocale;
+
+  /** Receives connection logs */
+  private readonly logger: TokenRedactingLogger;
+
   constructor(options: JoinVoiceChannelOptions) {
     super();
     this.channelId = options.channelId;
     this.guildId = options.guildId;
+    this.locale = options.locale ?? 'en';
+    this.logger = createLogger(options.logger);
     
     // Create adapter methods that will receive gateway events
     this.adapterMethods = {
@@ -130,6 +140,7 @@ export class VoiceConnection extends EventEmitter {
     this.livekitEndpoint = data.endpoint;
     this.livekitToken = data.token;
     this.livekitRoomName = data.room;
+    this.logger.setToken?.(data.token);
     
     this.setState({ status: VoiceConnectionStatus.Signalling });
     this.connectToLiveKit();
@@ -145,7 +156,7 @@ export class VoiceConnection extends EventEmitter {
 
   private async connectToLiveKit(): Promise<void> {
     if (!this.livekitEndpoint || !this.livekitToken) {
-      this.emit('error', new Error('Missing LiveKit connection info'));
+      this.emit('error', new JubbioVoiceError(VoiceErrorCodes.VoiceConnectionInfoMissing, [], this.locale));
       return;
     }
 
@@ -153,6 +164,8 @@ export class VoiceConnection extends EventEmitter {
       // Disconnect existing room if any
       await this.disconnectFromLiveKit();
       
+      // The LiveKit token is a credential, only the endpoint and room are logged
+      this.logger.debug(`[VoiceConnection] Connecting to ${this.livekitEndpoint} (room ${this.livekitRoomName}) for guild ${this.guildId}`);
       this.room = new Room();
       
       this.room.on(RoomEvent.Disconnected, () => {
@@ -168,6 +181,7 @@ export class VoiceConnection extends EventEmitter {
         this.subscribedPlayer.onConnectionReady(this);
       }
     } catch (error) {
+      this.logger.error(`[VoiceConnection] LiveKit connection failed for guild ${this.guildId}: ${(error as Error).message}`);
       this.emit('error', error);
       this.setState({ status: VoiceConnectionStatus.Disconnected });
     }
@@ -179,6 +193,7 @@ export class VoiceConnection extends EventEmitter {
         await this.room.disconnect();
       } catch (e) {
         // Ignore disconnect errors
+        this.logger.debug(`[VoiceConnection] Ignored disconnect error: ${(e as Error).message}`);
       }
       this.room = null;
     }
@@ -187,6 +202,7 @@ export class VoiceConnection extends EventEmitter {
   private setState(newState: VoiceConnectionState): void {
     const oldState = this.state;
     this.state = newState;
+    this.logger.debug(`[VoiceConnection] ${this.guildId}: ${oldState.status} -> ${newState.status}`);
     this.emit('stateChange', oldState, newState);
   }
 }
@@ -0,0 +1,71 @@
+/**
+ * Errors thrown by the voice package, with stable codes like @jubbio/core's JubbioError
+ */
+
+/**
+ * Stable, machine-readable codes of the voice errors
+ */
+export enum VoiceErrorCodes {
+  VoiceConnectionInfoMissing = 'VoiceConnectionInfoMissing',
+  AudioStreamInputUnsupported = 'AudioStreamInputUnsupported',
+  AudioNoData = 'AudioNoData',
+  AudioBufferTimeout = 'AudioBufferTimeout',
+  AudioProbeFailed = 'AudioProbeFailed',
+  AudioProbeExited = 'AudioProbeExited',
+  AudioProbeEmpty = 'AudioProbeEmpty',
+  AudioProbeInvalidOutput = 'AudioProbeInvalidOutput',
+  AudioProbeTimeout = 'AudioProbeTimeout',
+}
+
+/**
+ * Languages voice error messages are available in
+ */
+export type VoiceErrorLocale = 'en' | 'tr';
+
+type MessageBuilder = (...args: any[]) => string;
+
+/**
+ * Message builders of every voice error code, per locale
+ */
+export const VoiceErrorMessages: Record<VoiceErrorLocale, Record<VoiceErrorCodes, MessageBuilder>> = {
+  en: {
+    [VoiceErrorCodes.VoiceConnectionInfoMissing]: () => 'Missing LiveKit connection info',
+    [VoiceErrorCodes.AudioStreamInputUnsupported]: () => 'Stream input not yet supported. Use URL or file path.',
+    [VoiceErrorCodes.AudioNoData]: () => 'FFmpeg failed to produce audio data',
+    [VoiceErrorCodes.AudioBufferTimeout]: () => 'Timeout waiting for audio data',
+    [VoiceErrorCodes.AudioProbeFailed]: (detail: string) => `Failed to probe audio info: ${detail}`,
+    [VoiceErrorCodes.AudioProbeExited]: (code: number, stderr: string) => `yt-dlp failed (code ${code}): ${stderr || 'Unknown error'}`,
+    [VoiceErrorCodes.AudioProbeEmpty]: (stderr: string) => `yt-dlp returned empty response. stderr: ${stderr}`,
+    [VoiceErrorCodes.AudioProbeInvalidOutput]: (output: string) => `Failed to parse yt-dlp output: ${output}`,
+    [VoiceErrorCodes.AudioProbeTimeout]: () => 'Timeout waiting for audio info',
+  },
+  tr: {
+    [VoiceErrorCodes.VoiceConnectionInfoMissing]: () => 'LiveKit bağlantı bilgisi eksik',
+    [VoiceErrorCodes.AudioStreamInputUnsupported]: () => 'Stream girdisi henüz desteklenmiyor. URL veya dosya yolu kullanın.',
+    [VoiceErrorCodes.AudioNoData]: () => 'FFmpeg ses verisi üretemedi',
+    [VoiceErrorCodes.AudioBufferTimeout]: () => 'Ses verisi beklenirken zaman aşımı',
+    [VoiceErrorCodes.AudioProbeFailed]: (detail: string) => `Ses bilgisi alınamadı: ${detail}`,
+    [VoiceErrorCodes.AudioProbeExited]: (code: number, stderr: string) => `yt-dlp başarısız oldu (kod ${code}): ${stderr || 'Bilinmeyen hata'}`,
+    [VoiceErrorCodes.AudioProbeEmpty]: (stderr: string) => `yt-dlp boş yanıt döndürdü. stderr: ${stderr}`,
+    [VoiceErrorCodes.AudioProbeInvalidOutput]: (output: string) => `yt-dlp çıktısı ayrıştırılamadı: ${output}`,
+    [VoiceErrorCodes.AudioProbeTimeout]: () => 'Ses bilgisi beklenirken zaman aşımı',
+  },
+};
+
+/**
+ * An error of the voice package with a stable `code`
+ */
+export class JubbioVoiceError extends Error {
+  /** Machine-readable error code */
+  public readonly code: VoiceErrorCodes;
+
+  constructor(code: VoiceErrorCodes, args: unknown[] = [], locale: VoiceErrorLocale = 'en', cause?: unknown) {
+    const messages = VoiceErrorMessages[locale] ?? VoiceErrorMessages.en;
+    super(messages[code](...args), { cause });
+    this.code = code;
+  }
+
+  get name(): string {
+    return `JubbioVoiceError [${this.code}]`;
+  }
+}
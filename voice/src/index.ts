@@ -24,3 +24,5 @@ export * from './AudioPlayer';
 export * from './AudioResource';
 export * from './types';
 export * from './enums';
+export * from './errors';
+export * from './logger';
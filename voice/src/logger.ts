@@ -0,0 +1,55 @@
+/**
+ * Logging for the voice package, compatible with the `Logger` of @jubbio/core
+ */
+
+/**
+ * Anything with these four methods can be used as a logger (console, pino, winston, ...)
+ */
+export interface Logger {
+  debug(message: string, meta?: Record<string, unknown>): void;
+  info(message: string, meta?: Record<string, unknown>): void;
+  warn(message: string, meta?: Record<string, unknown>): void;
+  error(message: string, meta?: Record<string, unknown>): void;
+}
+
+/**
+ * Logger that discards everything, the default
+ */
+export const silentLogger: Logger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/**
+ * Logger that can be given a secret to remove from its output
+ */
+export interface TokenRedactingLogger extends Logger {
+  setToken?(token: string): void;
+}
+
+/** @jubbio/core's redaction, null when core isn't installed (it's an optional peer dependency) */
+let coreRedactingLogger: (new (target: Logger) => Logger & { setToken(token: string): void }) | null | undefined;
+
+function loadCoreRedactingLogger(): typeof coreRedactingLogger {
+  if (coreRedactingLogger === undefined) {
+    try {
+      coreRedactingLogger = require('@jubbio/core').RedactingLogger ?? null;
+    } catch {
+      coreRedactingLogger = null;
+    }
+  }
+  return coreRedactingLogger;
+}
+
+/**
+ * Wrap the `logger` option: bot, interaction and webhook tokens (and the token passed to
+ * `setToken()`) are removed by @jubbio/core's RedactingLogger when core is installed.
+ * Without a logger nothing is logged.
+ */
+export function createLogger(logger?: Logger | null): TokenRedactingLogger {
+  if (!logger) return silentLogger;
+  const RedactingLogger = loadCoreRedactingLogger();
+  return RedactingLogger ? new RedactingLogger(logger) : logger;
+}
@@ -1,5 +1,7 @@
 import { VoiceConnectionStatus, AudioPlayerStatus, StreamType } from './enums';
 import { Readable } from 'stream';
+import type { VoiceErrorCodes, VoiceErrorLocale } from './errors';
+import type { Logger } from './logger';
 
 /**
  * Options for joining a voice channel
@@ -15,6 +17,10 @@ export interface JoinVoiceChannelOptions {
   selfMute?: boolean;
   /** Whether to join self-deafened */
   selfDeaf?: boolean;
+  /** Language of the error messages (default 'en') */
+  locale?: VoiceErrorLocale;
+  /** Receives connection logs (default: nothing is logged) */
+  logger?: Logger;
 }
 
 /**
@@ -60,6 +66,10 @@ export interface CreateAudioPlayerOptions {
     /** Max missed frames before considering connection dead */
     maxMissedFrames?: number;
   };
+  /** Language of the error messages (default 'en') */
+  locale?: VoiceErrorLocale;
+  /** Receives playback, FFmpeg and yt-dlp logs (default: nothing is logged) */
+  logger?: Logger;
 }
 
 /**
@@ -74,6 +84,8 @@ export interface CreateAudioResourceOptions<T = unknown> {
   inlineVolume?: boolean;
   /** Number of silence frames to append */
   silencePaddingFrames?: number;
+  /** Language of the error messages (default 'en') */
+  locale?: VoiceErrorLocale;
 }
 
 /**
@@ -110,4 +122,6 @@ export interface AudioPlayerState {
 export interface AudioPlayerError {
   message: string;
   resource: any;
+  /** Error code, when the error came from the voice package */
+  code?: VoiceErrorCodes;
 }